@@ -5,27 +5,53 @@ const {
   FieldNotFoundError,
   IncorrectFieldsError,
   InvalidOptionCombinationError,
+  InvalidOptionValueError,
   MissingRequiredArgError,
   PrimaryKeyValueMissingError,
   RecordMissingPrimaryKeyError,
+  RelationNotFoundError,
+  StaleRecordError,
+  ValidationError,
 } = require('./errors');
 const RecordQuery = require('./RecordQuery');
+const {BelongsToMany} = require('./relations');
 const SqlValue = require('./SqlValue');
+const {getAmbientConnection} = require('./utils/ambient');
 const {parseArgs} = require('./utils/args');
-const {getFieldDbName} = require('./utils/misc');
-const {quoteIdentifier} = require('./utils/sql');
+const {translatedQuery} = require('./utils/errors');
+const {assertLockInTransaction, getLockSql, normalizeLock} = require('./utils/lock');
+const {getFieldDbName, getSqlFields} = require('./utils/misc');
+const {formatRange, isRangeType, parseRange} = require('./utils/range');
+const {getTableParts, getTableSql, quoteIdentifier} = require('./utils/sql');
+const {getFieldErrors} = require('./utils/validation');
 const {getWhereSql} = require('./wheres');
 const equal = require('fast-deep-equal');
 
+const MAX_BIND_PARAMS = 65535;
+
+const MILLISECOND_TYPES = new Set([type.timestamp, type.timestamptz]);
+
+function parseSaveOptions(skipReloadOrOptions, ignoreConflict) {
+  if (skipReloadOrOptions !== null && typeof skipReloadOrOptions === 'object') {
+    return skipReloadOrOptions;
+  }
+
+  return {skipReload: skipReloadOrOptions, ignoreConflict};
+}
+
 /**
  * @typedef {Object} Record
  * @memberOf SQL
  */
 class Record extends Object {
   static fields = {};
+  static optimisticLocking = false; // Default for save() enforcePrev.
   static primaryKeyFields = [];
   static privateFields = []; // Require an extra hoop to extract these values.
-  static table = '';
+  static relations = {}; // Declared with SQL.belongsTo(), SQL.hasMany() and SQL.hasOne(), loaded with related().
+  static schema = null; // Defaults to SQL.defaultSchema, then the connection's search_path.
+  static table = ''; // May also be "schema.table".
+  static versionField = null; // Integer field incremented by every save() update and checked by save() and delete().
 
   /**
    * Find by Primary Key
@@ -59,14 +85,16 @@ class Record extends Object {
    * Returns null if one and only one matching row isn't found.
    *
    * @param {pg.Client|pg.Pool} [connOrPool]
-   * @param {Object} [fields]
-   * @param {...*} [primaryKeyValues]
+   * @param {Object|*} [fieldsOrPrimaryKeyValue]
+   * @param {Object} [options] - Like load() options.
    * @returns {Promise<Record.prototype.constructor|null>}
    */
   static async findOne(...args) {
     const type = this.prototype.constructor;
-    const instance = new type(...args);
-    const isLoaded = await instance.load();
+    const {args: processedArgs} = parseArgs(args);
+    const hasOptions = processedArgs.length > 1;
+    const instance = new type(...(hasOptions ? args.slice(0, args.length - processedArgs.length + 1) : args));
+    const isLoaded = await instance.load(null, hasOptions ? processedArgs[1] : {});
 
     return isLoaded ? instance : null;
   }
@@ -168,6 +196,158 @@ class Record extends Object {
     return instance;
   }
 
+  /**
+   * Insert many rows using multi-row INSERT statements.
+   *
+   * Rows are split into as many statements as needed to stay under the Postgres bind parameter limit.
+   * Separate statements are only atomic if you run insertMany() within a transaction().
+   *
+   * @param {pg.Client|pg.Pool} [connOrPool]
+   * @param {Array<Object|Record>} rows - Objects of field values or unsaved instances.
+   * @param {Object} [options]
+   * @param {boolean} [options.ignoreConflict=false] - Skip rows which conflict, they are left out of the results.
+   * @param {Object} [options.onConflict] - Update conflicting rows instead, see getOnConflictSql().
+   * @param {boolean} [options.skipReload=false] - Skip returning the inserted rows and resolve to the inserted row count instead.
+   * @param {number} [options.chunkSize] - Maximum rows per statement, defaults to as many as the bind parameter limit allows.
+   * @returns {Promise<Array<Record>|number>} Without ignoreConflict, instances passed in are loaded and returned in the same order.
+   */
+  static async insertMany(...args) {
+    const {connOrPool, args: processedArgs} = parseArgs(args);
+
+    const rows = processedArgs[0];
+    if (!rows) {
+      throw new MissingRequiredArgError('Rows are required as an argument.');
+    }
+    const {ignoreConflict = false, onConflict = null, skipReload = false, chunkSize = null} = processedArgs[1] ?? {};
+    if (ignoreConflict && onConflict) {
+      throw new InvalidOptionCombinationError('The ignoreConflict and onConflict options cannot be combined.');
+    }
+    if (!rows.length) {
+      return skipReload ? 0 : [];
+    }
+
+    const type = this.prototype.constructor;
+    const recordArgs = connOrPool ? [connOrPool] : [];
+    const template = new type(...recordArgs);
+
+    const instances = rows.map((row) => (row instanceof Record ? row : new type(...recordArgs, row)));
+    const rowsData = instances.map((instance) => instance.data({includeDefaults: true, includePrivate: true, onlyDirty: true}));
+
+    const insertKeys = Object.keys(type.fields).filter((key) => rowsData.some((data) => key in data));
+    if (!insertKeys.length) {
+      // Defaults only, multiple rows can't use DEFAULT VALUES so explicitly default the first field.
+      insertKeys.push(Object.keys(type.fields)[0]);
+    }
+    const columnsString = `(${insertKeys.map((key) => quoteIdentifier(template.getFieldDbName(key))).join(', ')})`;
+    // Filled in defaults shouldn't overwrite a conflicting row's values.
+    const setKeys = insertKeys.filter((key) => instances.some((instance) => instance.isFieldDirty(key)));
+
+    const maxChunkSize = Math.floor(MAX_BIND_PARAMS / insertKeys.length);
+    const defaultedChunkSize = Math.min(chunkSize || maxChunkSize, maxChunkSize);
+
+    const results = [];
+    let insertedCount = 0;
+    const conn = await template.getConnection();
+    try {
+      for (let chunkStart = 0; chunkStart < instances.length; chunkStart += defaultedChunkSize) {
+        const chunkEnd = chunkStart + defaultedChunkSize;
+        const chunkInstances = instances.slice(chunkStart, chunkEnd);
+
+        const valuesStrings = [];
+        const insertValues = [];
+        for (const [chunkIndex, instance] of chunkInstances.entries()) {
+          const sqlFields = instance.getSqlFields(rowsData[chunkStart + chunkIndex], {bindParamsUsed: insertValues.length});
+
+          const valueStrings = [];
+          for (const key of insertKeys) {
+            const sqlField = sqlFields[key];
+            if (!sqlField) {
+              valueStrings.push('DEFAULT');
+              continue;
+            }
+
+            valueStrings.push(sqlField.string);
+            if (sqlField.bind) {
+              insertValues.push(sqlField.bindValue);
+            }
+          }
+          valuesStrings.push(`(${valueStrings.join(', ')})`);
+        }
+
+        let insertQuery = [
+          'INSERT INTO',
+          getTableSql(type),
+          columnsString,
+          'VALUES',
+          valuesStrings.join(', '),
+        ].join(' ');
+        if (ignoreConflict) {
+          insertQuery += ' ON CONFLICT DO NOTHING';
+        } else if (onConflict) {
+          insertQuery += ' ' + template.getOnConflictSql(onConflict, setKeys);
+        }
+        if (!skipReload) {
+          insertQuery += ' RETURNING ' + template.getFieldsSql();
+        }
+
+        if (template.debugging()) {
+          console.debug('INSERT MANY', {insertQuery, insertValues});
+        }
+
+        const dbResponse = await translatedQuery(conn, {
+          text: insertQuery,
+          values: insertValues,
+          rowMode: 'array',
+        }, type);
+        insertedCount += dbResponse.rowCount;
+
+        if (!skipReload) {
+          for (const [rowIndex, dbRow] of dbResponse.rows.entries()) {
+            // With ignoreConflict we can't tell which rows were skipped, so there's no safe way to reuse the passed instances.
+            const instance = ignoreConflict ? new type(...recordArgs) : chunkInstances[rowIndex];
+            instance.loadDbArray(dbRow, conn);
+            results.push(instance);
+          }
+        }
+      }
+    } finally {
+      template.releaseConnection(conn);
+    }
+
+    return skipReload ? insertedCount : results;
+  }
+
+  /**
+   * Insert a row, or update the conflicting row, and return it loaded.
+   *
+   * @param {pg.Client|pg.Pool} [connOrPool]
+   * @param {Object} fields
+   * @param {Object} onConflict - See getOnConflictSql().
+   * @param {string|Array} onConflict.target
+   * @param {string|Array} [onConflict.update='all']
+   * @returns {Promise<Record>}
+   */
+  static async upsert(...args) {
+    const {connOrPool, args: processedArgs} = parseArgs(args);
+
+    const [fields, onConflict] = processedArgs;
+    if (!fields || !onConflict) {
+      throw new MissingRequiredArgError('Fields and onConflict are required as arguments.');
+    }
+
+    const recordArgs = [];
+    if (connOrPool) {
+      recordArgs.push(connOrPool);
+    }
+    recordArgs.push(fields);
+
+    const type = this.prototype.constructor;
+    const instance = new type(...recordArgs);
+    await instance.save({onConflict});
+
+    return instance;
+  }
+
   /**
    * Create an instance from an object that uses db field names.
    * Useful in case you want to write manual queries that return records.
@@ -198,6 +378,22 @@ class Record extends Object {
     return instance;
   }
 
+  /**
+   * Get a relation declared in static relations.
+   *
+   * @param {string} name
+   * @throws RelationNotFoundError
+   * @returns {Relation}
+   */
+  static getRelation(name) {
+    const relation = this.relations[name];
+    if (!relation) {
+      throw new RelationNotFoundError(name, this.name);
+    }
+
+    return relation;
+  }
+
   static getFieldDefaultValue(key) {
     const fieldConfig = this.fields[key];
     if (
@@ -221,6 +417,8 @@ class Record extends Object {
 
   isFieldSet = {};
 
+  relatedValues = {}; // Loaded relations, by relation name.
+
   /**
    * Was the data in this instance previously loaded from a db row.
    *
@@ -341,7 +539,8 @@ class Record extends Object {
   }
 
   async getConnection() {
-    let conn = this.conn;
+    // The ambient connection only stands in for the default pool, not an explicitly set one.
+    let conn = this.conn || (this.pool ? null : getAmbientConnection());
     if (!conn) {
       const pool = this.pool || require('./index').getDefaultPool();
       conn = await pool.connect();
@@ -350,6 +549,18 @@ class Record extends Object {
     return conn;
   }
 
+  /**
+   * Release a connection from getConnection() if it was checked out just for this call.
+   *
+   * @param {pg.Client} conn
+   * @param {pg.Client} [ambientConn] - Ambient connection at the time conn was acquired.
+   */
+  releaseConnection(conn, ambientConn = getAmbientConnection()) {
+    if (conn !== this.conn && conn !== ambientConn) {
+      conn.release();
+    }
+  }
+
   isPrimaryKeySet() {
     let set = true;
 
@@ -392,6 +603,87 @@ class Record extends Object {
     return false;
   }
 
+  /**
+   * Keys of the fields that differ from their loaded values.
+   *
+   * @returns {Set<string>}
+   */
+  getDirtyFields() {
+    return new Set(Object.keys(this.recordType.fields).filter((key) => this.isFieldDirty(key)));
+  }
+
+  /**
+   * @param {pg.Client} conn
+   * @returns {HookContext}
+   */
+  getHookContext(conn) {
+    return {conn, dirtyFields: this.getDirtyFields()};
+  }
+
+  /**
+   * Lifecycle hooks, override them to act on saves, deletes and loads.
+   *
+   * save() calls beforeValidate(), validate(), then beforeInsert() or beforeUpdate(), runs the statement and calls afterInsert() or afterUpdate().
+   * delete() calls beforeDelete() and, when a row was deleted, afterDelete(). A before hook that throws aborts the statement.
+   * They run on the statement's connection, which belongs to the surrounding transaction() if there is one.
+   * Bulk operations, insertMany() and RecordQuery update() and delete(), don't call them.
+   *
+   * @typedef {Object} HookContext
+   * @property {pg.Client|null} conn - Connection in use.
+   * @property {Set<string>} dirtyFields - Keys of dirty fields. After hooks get the set the statement was built from.
+   */
+
+  /**
+   * @param {HookContext} context
+   * @returns {Promise<void>}
+   */
+  async beforeValidate() {}
+
+  /**
+   * @param {HookContext} context
+   * @returns {Promise<void>}
+   */
+  async beforeInsert() {}
+
+  /**
+   * @param {HookContext} context
+   * @returns {Promise<void>}
+   */
+  async afterInsert() {}
+
+  /**
+   * @param {HookContext} context
+   * @returns {Promise<void>}
+   */
+  async beforeUpdate() {}
+
+  /**
+   * @param {HookContext} context
+   * @returns {Promise<void>}
+   */
+  async afterUpdate() {}
+
+  /**
+   * @param {HookContext} context
+   * @returns {Promise<void>}
+   */
+  async beforeDelete() {}
+
+  /**
+   * @param {HookContext} context
+   * @returns {Promise<void>}
+   */
+  async afterDelete() {}
+
+  /**
+   * Called whenever db values are loaded into the instance, by load(), save(), queries and newFromDbRow().
+   * Synchronous, like the loaders that call it, so a checked out conn may be released as soon as it returns.
+   * Without a connection at hand conn is the record's own, if any.
+   *
+   * @param {HookContext} context
+   */
+  afterLoad() {}
+
   /**
    * Change whether this instance considers itself previously loaded from the db.
    *
@@ -451,6 +743,74 @@ class Record extends Object {
     return this.getWhereSql(conn, this.getPrimaryKeyValues(useInternalValues), {bindParamsUsed});
   }
 
+  /**
+   * Where pack matching the values the instance was last loaded with, excluding primary key fields.
+   * Used by save() with enforcePrev.
+   *
+   * @param {number} [bindParamsUsed=0]
+   * @returns {{query: string, values: Array}}
+   */
+  getPrevValuesWherePack(bindParamsUsed = 0) {
+    const queryParts = [];
+    const values = [];
+    for (const [key, fieldConfig] of Object.entries(this.recordType.fields)) {
+      if (this.recordType.primaryKeyFields.includes(key)) {
+        continue;
+      }
+
+      let value = this.valuesClean[key];
+      if (value === undefined || typeof value === 'symbol' || value instanceof SqlValue) {
+        continue; // Nothing comparable was loaded.
+      }
+
+      let lhs = quoteIdentifier(this.getFieldDbName(key));
+      let rhs = '$' + (bindParamsUsed + values.length + 1);
+      if (fieldConfig.type === type.json || fieldConfig.type === type.jsonb) {
+        // json has no equality operator and node-pg would turn top level arrays into Postgres arrays.
+        lhs += '::jsonb';
+        rhs += '::jsonb';
+        value = value === null ? null : JSON.stringify(value);
+      } else if (isRangeType(fieldConfig.type)) {
+        value = value === null ? null : formatRange(value);
+      } else if (MILLISECOND_TYPES.has(fieldConfig.type)) {
+        // Javascript Dates only have millisecond precision.
+        lhs = `date_trunc('milliseconds', ${lhs})`;
+      }
+
+      queryParts.push(`${lhs} IS NOT DISTINCT FROM ${rhs}`);
+      values.push(value);
+    }
+
+    return {query: queryParts.join(' AND '), values};
+  }
+
+  /**
+   * Where pack matching the version the instance was last loaded with.
+   * Null if there isn't a versionField or a loaded version to check.
+   *
+   * @param {number} [bindParamsUsed=0]
+   * @returns {{query: string, values: Array}|null}
+   */
+  getVersionWherePack(bindParamsUsed = 0) {
+    const versionField = this.recordType.versionField;
+    if (!versionField) {
+      return null;
+    }
+    if (!this.recordType.fields[versionField]) {
+      throw new FieldNotFoundError(versionField, this.recordType.name);
+    }
+
+    const version = this.valuesClean[versionField];
+    if (version === undefined) {
+      return null;
+    }
+
+    return {
+      query: `${quoteIdentifier(this.getFieldDbName(versionField))} IS NOT DISTINCT FROM $${bindParamsUsed + 1}`,
+      values: [version],
+    };
+  }
+
   getFieldsSql() {
     const res = [];
 
@@ -498,27 +858,141 @@ class Record extends Object {
     this.isFieldSet[key] = true;
   }
 
-  loadDbArray(array) {
+  /**
+   * Get the records for a relation declared in static relations, loaded on first access and cached after.
+   * Uses this instance's conn or pool.
+   *
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {boolean} [options.reload=false] - Skip the cache and load again.
+   * @returns {Promise<Record|Array<Record>|null>} An array for hasMany relations, a record or null otherwise.
+   */
+  async related(name, {reload = false} = {}) {
+    const relation = this.recordType.getRelation(name);
+
+    if (!reload && Object.prototype.hasOwnProperty.call(this.relatedValues, name)) {
+      return this.relatedValues[name];
+    }
+
+    const [relatedValue] = await relation.loadFor([this], this.conn || this.pool);
+    this.relatedValues[name] = relatedValue;
+
+    return relatedValue;
+  }
+
+  getBelongsToManyRelation(name) {
+    const relation = this.recordType.getRelation(name);
+    if (!(relation instanceof BelongsToMany)) {
+      throw new InvalidOptionValueError(`Relation ${name} on ${this.recordType.name} is not a belongsToMany relation.`);
+    }
+
+    return relation;
+  }
+
+  /**
+   * Link related records through a belongsToMany relation's join table, already linked ones are skipped.
+   *
+   * @param {string} name
+   * @param {Array<Record|*>} targets - Related records or their primary key values.
+   * @returns {Promise<number>} Links added.
+   */
+  async attach(name, targets) {
+    const relation = this.getBelongsToManyRelation(name);
+
+    const conn = await this.getConnection();
+    try {
+      return await relation.attach(conn, this, targets);
+    } finally {
+      this.releaseConnection(conn);
+      delete this.relatedValues[name];
+    }
+  }
+
+  /**
+   * Unlink related records from a belongsToMany relation's join table.
+   *
+   * @param {string} name
+   * @param {Array<Record|*>} [targets] - Related records or their primary key values, all when omitted.
+   * @returns {Promise<number>} Links removed.
+   */
+  async detach(name, targets = null) {
+    const relation = this.getBelongsToManyRelation(name);
+
+    const conn = await this.getConnection();
+    try {
+      return await relation.detach(conn, this, targets);
+    } finally {
+      this.releaseConnection(conn);
+      delete this.relatedValues[name];
+    }
+  }
+
+  /**
+   * Link exactly the given related records through a belongsToMany relation's join table, unlinking any others.
+   * Runs in a transaction, or within the already open one on this instance's conn.
+   *
+   * @param {string} name
+   * @param {Array<Record|*>} targets - Related records or their primary key values.
+   * @returns {Promise<{attached: number, detached: number}>}
+   */
+  async sync(name, targets) {
+    const relation = this.getBelongsToManyRelation(name);
+
+    try {
+      return await require('./index').transaction((conn) => relation.sync(conn, this, targets), {
+        conn: this.conn,
+        pool: this.pool,
+        allowNested: true,
+      });
+    } finally {
+      delete this.relatedValues[name];
+    }
+  }
+
+  /**
+   * Convert a value as node-pg returned it, range types come back as text.
+   *
+   * @param {string} key
+   * @param {*} value
+   * @returns {*}
+   */
+  parseDbValue(key, value) {
+    const fieldType = this.recordType.fields[key].type;
+
+    return isRangeType(fieldType) ? parseRange(value, fieldType) : value;
+  }
+
+  /**
+   * @param {Array} array - Row values in field order.
+   * @param {pg.Client} [conn] - Connection the row was read with, passed to afterLoad(), defaults to the record's.
+   */
+  loadDbArray(array, conn = null) {
     const indexToKey = Object.keys(this.recordType.fields);
     for (const [index, value] of array.entries()) {
       const key = indexToKey[index];
-      this.set(key, value);
+      this.set(key, this.parseDbValue(key, value));
     }
 
     this.setLoaded(true);
+    this.afterLoad(this.getHookContext(conn || this.conn));
   }
 
-  loadDbObject(dbRow) {
+  /**
+   * @param {Object} dbRow - Row values by db field name.
+   * @param {pg.Client} [conn] - Connection the row was read with, passed to afterLoad(), defaults to the record's.
+   */
+  loadDbObject(dbRow, conn = null) {
     for (const key of Object.keys(this.recordType.fields)) {
       const fieldDbName = this.getFieldDbName(key);
 
       const value = dbRow[fieldDbName];
       if (value !== undefined) {
-        this.set(key, value);
+        this.set(key, this.parseDbValue(key, value));
       }
     }
 
     this.setLoaded(true);
+    this.afterLoad(this.getHookContext(conn || this.conn));
   }
 
   /**
@@ -529,9 +1003,11 @@ class Record extends Object {
    * If 2 rows are matched a warning will be logged and populated into this.warnings.
    *
    * @param {Object} [fields]
+   * @param {Object} [options]
+   * @param {lockStrength|Object} [options.lock] - Lock the row, like RecordQuery.lock(). Requires a conn with an open transaction.
    * @returns {Promise<boolean>}
    */
-  async load(fields = null) {
+  async load(fields = null, {lock = null} = {}) {
     // Try to load from set fields, if we get 1 and only one result return true, otherwise return false.
 
     let defaultedFields = fields;
@@ -549,63 +1025,67 @@ class Record extends Object {
     }
 
     const selectFieldsSql = this.getFieldsSql();
+    const normalizedLock = lock ? normalizeLock(lock) : null;
 
-    let dbResponse;
     const conn = await this.getConnection();
     try {
+      if (normalizedLock) {
+        await assertLockInTransaction(conn);
+      }
+
       const whereSql = this.getWhereSql(conn, defaultedFields);
 
       const loadQuery = [
         'SELECT',
         selectFieldsSql,
         'FROM',
-        quoteIdentifier(this.recordType.table),
+        getTableSql(this.recordType),
         'WHERE',
         whereSql.query,
         'LIMIT 2',
-      ].join(' ');
+        normalizedLock ? getLockSql(normalizedLock) : null,
+      ].filter(Boolean).join(' ');
 
       if (this.debugging()) {
         console.debug('LOAD', {loadQuery, loadValues: whereSql.values});
       }
 
-      dbResponse = await conn.query({
+      const dbResponse = await translatedQuery(conn, {
         text: loadQuery,
         values: whereSql.values,
         rowMode: 'array',
-      });
-    } finally {
-      if (!this.conn) {
-        conn.release();
-      }
-    }
-
-    const rows = dbResponse.rows;
-
-    let result = false;
-    switch (rows.length) {
-      case 0:
-        // Nothing found
-        break;
-
-      case 1:
-        this.loadDbArray(rows[0]);
-
-        result = true;
-        break;
-
-      case 2: {
-        const warning = 'Multiple results matched load() attempt.';
-        if (!this.warnings) {
-          this.warnings = [];
+      }, this.recordType);
+
+      const rows = dbResponse.rows;
+
+      let result = false;
+      switch (rows.length) {
+        case 0:
+          // Nothing found
+          break;
+
+        case 1:
+          // While the conn is still ours, for afterLoad().
+          this.loadDbArray(rows[0], conn);
+
+          result = true;
+          break;
+
+        case 2: {
+          const warning = 'Multiple results matched load() attempt.';
+          if (!this.warnings) {
+            this.warnings = [];
+          }
+          this.warnings.push(warning);
+          console.warn(warning);
+          break;
         }
-        this.warnings.push(warning);
-        console.warn(warning);
-        break;
       }
-    }
 
-    return result;
+      return result;
+    } finally {
+      this.releaseConnection(conn);
+    }
   }
 
   /**
@@ -622,209 +1102,336 @@ class Record extends Object {
     }
 
     const conn = await this.getConnection();
-    let dbResponse;
     try {
+      const hookContext = this.getHookContext(conn);
+      await this.beforeDelete(hookContext);
+
       const primaryKeyWhereSql = this.getPrimaryKeyWherePack(conn);
+      const whereParts = [primaryKeyWhereSql.query];
+      const deleteValues = [...primaryKeyWhereSql.values];
+      const versionWhereSql = this.getVersionWherePack(deleteValues.length);
+      if (versionWhereSql) {
+        whereParts.push(versionWhereSql.query);
+        Array.prototype.push.apply(deleteValues, versionWhereSql.values);
+      }
 
       const deleteQuery = [
         'DELETE FROM',
-        quoteIdentifier(this.recordType.table),
+        getTableSql(this.recordType),
         'WHERE',
-        primaryKeyWhereSql.query,
+        whereParts.join(' AND '),
       ].join(' ');
 
       if (this.debugging()) {
-        console.debug('DELETE', {deleteQuery, deleteValues: primaryKeyWhereSql.values});
+        console.debug('DELETE', {deleteQuery, deleteValues});
       }
 
-      dbResponse = await conn.query({
+      const dbResponse = await translatedQuery(conn, {
         text: deleteQuery,
-        values: primaryKeyWhereSql.values,
+        values: deleteValues,
         rowMode: 'array',
-      });
-    } finally {
-      if (!this.conn) {
-        conn.release();
+      }, this.recordType);
+
+      const wasDeleted = dbResponse.rowCount === 1;
+
+      if (!wasDeleted && versionWhereSql) {
+        throw new StaleRecordError(this.recordType, Object.fromEntries(this.getPrimaryKeyValues()));
       }
-    }
 
-    const wasDeleted = dbResponse.rowCount === 1;
+      if (wasDeleted) {
+        this.setLoaded(false);
+        await this.afterDelete(hookContext);
+      }
 
-    if (wasDeleted) {
-      this.setLoaded(false);
+      return wasDeleted;
+    } finally {
+      this.releaseConnection(conn);
     }
+  }
 
-    return wasDeleted;
+  getSqlFields(fields, {bindParamsUsed = 0} = {}) {
+    return getSqlFields(this.recordType.fields, fields, {bindParamsUsed});
   }
 
-  getSqlFields(fields) {
-    const result = {};
+  /**
+   * Get an ON CONFLICT ... DO UPDATE clause for an insert.
+   *
+   * @param {Object} onConflict
+   * @param {string|Array} onConflict.target - Field key(s) of the unique constraint to upsert on.
+   * @param {string|Array} [onConflict.update='all'] - Field key(s) to take from the insert when there's a conflict, 'all' for every set field other than the target.
+   * @param {Array} setKeys - Field keys being inserted with set values, not defaults.
+   * @returns {string}
+   */
+  getOnConflictSql({target = null, update = 'all'} = {}, setKeys = []) {
+    const targetKeys = [].concat(target ?? []);
+    if (!targetKeys.length) {
+      throw new InvalidOptionCombinationError('The onConflict option requires a target.');
+    }
+
+    const versionField = this.recordType.versionField;
+    // The version is only ever changed by incrementing.
+    const updateKeys = (update === 'all' ? setKeys.filter((key) => !targetKeys.includes(key)) : [].concat(update))
+      .filter((key) => key !== versionField);
 
-    let bindParamNum = 0;
-    for (const [key, value] of Object.entries(fields)) {
-      let string;
-      let bind = true;
-      let bindValue;
-      if (typeof value === 'symbol') {
-        string = valueNow.description;
-        bind = false;
-      } else if (value instanceof SqlValue) {
-        if (value.bind) {
-          string = '$' + ++bindParamNum;
-          bindValue = value.getValue();
-        } else {
-          string = value.getValue();
-          bind = false;
-        }
-      } else {
-        string = '$' + ++bindParamNum;
-        bindValue = value;
+    const getName = (key) => {
+      if (!this.recordType.fields[key]) {
+        throw new FieldNotFoundError(key, this.recordType.name);
       }
 
-      result[key] = {
-        name: quoteIdentifier(this.getFieldDbName(key)),
-        string,
-        bind,
-        bindValue,
-      };
+      return quoteIdentifier(this.getFieldDbName(key));
+    };
+
+    const targetNames = targetKeys.map(getName);
+    const setStrings = updateKeys.map((key) => {
+      const name = getName(key);
+      return `${name} = EXCLUDED.${name}`;
+    });
+    if (!setStrings.length) {
+      // DO NOTHING wouldn't return the existing row, a no-op update does.
+      setStrings.push(`${targetNames[0]} = EXCLUDED.${targetNames[0]}`);
+    }
+    if (versionField) {
+      const versionName = getName(versionField);
+      setStrings.push(`${versionName} = COALESCE(${quoteIdentifier(getTableParts(this.recordType).table)}.${versionName}, 0) + 1`);
     }
 
-    return result;
+    return `ON CONFLICT (${targetNames.join(', ')}) DO UPDATE SET ${setStrings.join(', ')}`;
   }
 
   /**
    * Save the current in memory state to the database.
-   * If isLoaded, this will be an insert, otherwise it will be an update.
+   * If isLoaded, this will be an update, otherwise it will be an insert.
    *
-   * @param {boolean} [skipReload=false] - Skip reloading the new state from the db, a slight efficiency gain if you know you won't use the values or for use with ignoreConflict.
-   * @param {boolean} [ignoreConflict=false] - Ignore conflicts during insert/update, requires skipReload=true.
+   * Options can either be passed positionally (skipReload, ignoreConflict) or as a single object.
+   *
+   * @param {boolean|Object} [skipReloadOrOptions=false]
+   * @param {boolean} [skipReloadOrOptions.skipReload=false] - Skip reloading the new state from the db, a slight efficiency gain if you know you won't use the values or for use with ignoreConflict.
+   * @param {boolean} [skipReloadOrOptions.ignoreConflict=false] - Ignore conflicts during insert/update, requires skipReload=true.
+   * @param {boolean} [skipReloadOrOptions.enforcePrev=optimisticLocking] - Only update if the row still has the values it was loaded with.
+   * @param {boolean} [skipReloadOrOptions.throwOnStale=false] - Throw StaleRecordError rather than returning false when enforcePrev prevents an update.
+   * @param {Object} [skipReloadOrOptions.onConflict] - Turn an insert into an upsert, see getOnConflictSql().
+   * @param {boolean} [skipReloadOrOptions.validate=true] - Run validate() first.
+   * @param {boolean} [ignoreConflict=false]
+   * @throws StaleRecordError - When throwOnStale is set or, for Records with a versionField, whenever the loaded version no longer matches.
+   * @throws ValidationError
    * @returns {Promise<boolean>}
    */
-  async save(skipReload = false, ignoreConflict = false) {
-    if (ignoreConflict && !skipReload) {
+  async save(skipReloadOrOptions = false, ignoreConflict = false) {
+    const options = parseSaveOptions(skipReloadOrOptions, ignoreConflict);
+    const {
+      skipReload = false,
+      enforcePrev = this.recordType.optimisticLocking,
+      throwOnStale = false,
+      validate = true,
+    } = options;
+    if (options.ignoreConflict && !skipReload) {
       throw new InvalidOptionCombinationError('The ignoreConflict option requires skipReload since it is possible no row will be changed.');
     }
+    if (options.onConflict && (options.ignoreConflict || this.isLoaded)) {
+      throw new InvalidOptionCombinationError('The onConflict option is only supported for inserts without ignoreConflict.');
+    }
 
-    if (this.isLoaded) {
-      const setStrings = [];
-      const setValues = [];
-      const sqlFields = this.getSqlFields(this.data({includePrivate: true, onlyDirty: true}));
-      for (const sqlField of Object.values(sqlFields)) {
-        setStrings.push(sqlField.name + ' = ' + sqlField.string);
-        if (sqlField.bind) {
-          setValues.push(sqlField.bindValue);
-        }
-      }
-      if (!setStrings.length) {
-        return false; // Nothing to update.
+    const conn = await this.getConnection();
+    try {
+      await this.beforeValidate(this.getHookContext(conn));
+      if (validate) {
+        await this.validate();
       }
-      const setString = setStrings.join(', ');
 
-      const conn = await this.getConnection();
-      let dbResponse;
-      try {
+      if (this.isLoaded) {
+        await this.beforeUpdate(this.getHookContext(conn));
+        // After the before hooks, they're free to change values.
+        const hookContext = this.getHookContext(conn);
+
+        const versionField = this.recordType.versionField;
+
+        const setStrings = [];
+        const setValues = [];
+        const dirtyData = this.data({includePrivate: true, onlyDirty: true});
+        if (versionField) {
+          delete dirtyData[versionField]; // Only ever changed by incrementing.
+        }
+        const sqlFields = this.getSqlFields(dirtyData);
+        for (const sqlField of Object.values(sqlFields)) {
+          setStrings.push(sqlField.name + ' = ' + sqlField.string);
+          if (sqlField.bind) {
+            setValues.push(sqlField.bindValue);
+          }
+        }
+        if (!setStrings.length) {
+          return false; // Nothing to update.
+        }
+        if (versionField) {
+          const versionName = quoteIdentifier(this.getFieldDbName(versionField));
+          setStrings.push(`${versionName} = COALESCE(${versionName}, 0) + 1`);
+        }
+        const setString = setStrings.join(', ');
+
         const primaryKeyWhereSql = this.getPrimaryKeyWherePack(conn, true, setValues.length);
+        const whereParts = [primaryKeyWhereSql.query];
+        const updateValues = [...setValues, ...primaryKeyWhereSql.values];
+        const versionWhereSql = this.getVersionWherePack(updateValues.length);
+        if (versionWhereSql) {
+          whereParts.push(versionWhereSql.query);
+          Array.prototype.push.apply(updateValues, versionWhereSql.values);
+        }
+        if (enforcePrev) {
+          const prevWhereSql = this.getPrevValuesWherePack(updateValues.length);
+          if (prevWhereSql.query) {
+            whereParts.push(prevWhereSql.query);
+            Array.prototype.push.apply(updateValues, prevWhereSql.values);
+          }
+        }
 
         let updateQuery = [
           'UPDATE',
-          quoteIdentifier(this.recordType.table),
+          getTableSql(this.recordType),
           'SET',
           setString,
           'WHERE',
-          primaryKeyWhereSql.query,
+          whereParts.join(' AND '),
         ].join(' ');
         if (!skipReload) {
           updateQuery += ' RETURNING ' + this.getFieldsSql();
         }
-        const updateValues = [...setValues, ...primaryKeyWhereSql.values];
 
         if (this.debugging()) {
           console.debug('UPDATE', {updateQuery, updateValues});
         }
 
-        dbResponse = await conn.query({
+        const dbResponse = await translatedQuery(conn, {
           text: updateQuery,
           values: updateValues,
           rowMode: 'array',
-        });
-      } finally {
-        if (!this.conn) {
-          conn.release();
+        }, this.recordType);
+
+        if ((enforcePrev || versionWhereSql) && !dbResponse.rowCount) {
+          // Someone else changed or removed the row since we last saw it, their state is left in place.
+          if (throwOnStale || versionWhereSql) {
+            throw new StaleRecordError(this.recordType, Object.fromEntries(this.getPrimaryKeyValues(true)));
+          }
+
+          return false;
         }
-      }
 
-      if (!skipReload) {
-        this.loadDbArray(dbResponse.rows[0]);
-      }
+        // Without enforcePrev our local state is blasted over the server's state whether or not it changed since we loaded it.
+
+        if (!skipReload) {
+          this.loadDbArray(dbResponse.rows[0], conn);
+        } else {
+          // What we wrote is now the row's state, enforcePrev checks against it next time.
+          // Values written as SQL stay unknown, they are skipped by enforcePrev the same as when loaded.
+          for (const key of Object.keys(dirtyData)) {
+            this.valuesClean[key] = this.values[key];
+            if (this.recordType.primaryKeyFields.includes(key)) {
+              this.primaryKeyInternalValues[key] = this.values[key];
+            }
+          }
+
+          if (versionWhereSql) {
+            // Mirror the increment so the next save checks against the version we just wrote.
+            const version = Number(this.valuesClean[versionField]) + 1; // Null counts as 0, same as the COALESCE.
+            this.values[versionField] = version;
+            this.valuesClean[versionField] = version;
+          }
+        }
 
-      // If anyone ever asks for this flag I will actually implement it.
+        await this.afterUpdate(hookContext);
 
-      // enforcePrev=false - The default behavior and currently only behavior.
-      // An update was issued, our local state was blasted over the server's state.
-      // It would change our last seen server data.
-      // It won't necessarily be a diff for the server when we issue the update.
-      // It will be a real update 99.99% of the time.
-      // You probably don't care about the distinction for 99.99% of that 0.01%.
+        return true;
+      } else {
+        await this.beforeInsert(this.getHookContext(conn));
+        const hookContext = this.getHookContext(conn);
+
+        const insertFields = [];
+        const insertValueStrings = [];
+        const insertValues = [];
+        const sqlFields = this.getSqlFields(
+          this.data({includeDefaults: true, includePrivate: true, onlyDirty: true})
+        );
+        for (const sqlField of Object.values(sqlFields)) {
+          insertFields.push(sqlField.name);
+          insertValueStrings.push(sqlField.string);
+          if (sqlField.bind) {
+            insertValues.push(sqlField.bindValue);
+          }
+        }
 
-      // enforcePrev=true
-      // We track previous values for all fields not just primary key (primaryKeyInternalValues).
-      // Where enforces all the previous values in order to update the row.
-      // Only if server data actually changed (rowCount) do we return true.
+        let columnsString = null;
+        let valuesString = 'DEFAULT VALUES';
+        if (insertValueStrings.length || insertValues.length) {
+          columnsString = `(${insertFields.join(', ')})`;
+          valuesString = `VALUES (${insertValueStrings.join(', ')})`;
+        }
 
-      return true;
-    } else {
-      const insertFields = [];
-      const insertValueStrings = [];
-      const insertValues = [];
-      const sqlFields = this.getSqlFields(
-        this.data({includeDefaults: true, includePrivate: true, onlyDirty: true})
-      );
-      for (const sqlField of Object.values(sqlFields)) {
-        insertFields.push(sqlField.name);
-        insertValueStrings.push(sqlField.string);
-        if (sqlField.bind) {
-          insertValues.push(sqlField.bindValue);
+        let insertQuery = [
+          'INSERT INTO',
+          getTableSql(this.recordType),
+          columnsString,
+          valuesString,
+        ].filter(Boolean).join(' ');
+        if (options.ignoreConflict) {
+          insertQuery += ' ON CONFLICT DO NOTHING';
+        } else if (options.onConflict) {
+          // Filled in defaults shouldn't overwrite a conflicting row's values.
+          const setKeys = Object.keys(sqlFields).filter((key) => this.isFieldDirty(key));
+          insertQuery += ' ' + this.getOnConflictSql(options.onConflict, setKeys);
+        }
+        if (!skipReload) {
+          insertQuery += ' RETURNING ' + this.getFieldsSql();
         }
-      }
 
-      let columnsString = null;
-      let valuesString = 'DEFAULT VALUES';
-      if (insertValueStrings.length || insertValues.length) {
-        columnsString = `(${insertFields.join(', ')})`;
-        valuesString = `VALUES (${insertValueStrings.join(', ')})`;
-      }
+        if (this.debugging()) {
+          console.debug('INSERT', {insertQuery, insertValues});
+        }
+        const dbResponse = await translatedQuery(conn, {
+          text: insertQuery,
+          values: insertValues,
+          rowMode: 'array',
+        }, this.recordType);
 
-      let insertQuery = [
-        'INSERT INTO',
-        quoteIdentifier(this.recordType.table),
-        columnsString,
-        valuesString,
-      ].filter(Boolean).join(' ');
-      if (ignoreConflict) {
-        insertQuery += ' ON CONFLICT DO NOTHING';
-      }
-      if (!skipReload) {
-        insertQuery += ' RETURNING ' + this.getFieldsSql();
-      }
+        if (!skipReload) {
+          this.loadDbArray(dbResponse.rows[0], conn);
+        }
 
-      if (this.debugging()) {
-        console.debug('INSERT', {insertQuery, insertValues});
-      }
-      const conn = await this.getConnection();
-      const dbResponse = await conn.query({
-        text: insertQuery,
-        values: insertValues,
-        rowMode: 'array',
-      });
-      if (!this.conn) {
-        conn.release();
+        if (dbResponse.rowCount) { // With ignoreConflict nothing may have been inserted.
+          await this.afterInsert(hookContext);
+        }
+
+        return true;
       }
+    } finally {
+      this.releaseConnection(conn);
+    }
+  }
 
-      if (!skipReload) {
-        this.loadDbArray(dbResponse.rows[0]);
+  /**
+   * Check field values against their definitions, save() does this unless told not to.
+   *
+   * Fields can set nullable, maxLength, min, max, pattern, enum and a validate(value, record) function returning false or a message to fail.
+   * Values must also suit the field's type, those written as SQL, like valueNow or a SqlValue, aren't checked.
+   * New records check every field, with a missing value only failing nullable: false if there's no defaultValue, serial type or primary key.
+   * Loaded records only check dirty fields, the rest came from the db.
+   *
+   * @throws {ValidationError} Listing every failing field.
+   * @returns {Promise<void>}
+   */
+  async validate() {
+    const isInsert = !this.isLoaded;
+    const keys = isInsert ? Object.keys(this.recordType.fields) : Array.from(this.getDirtyFields());
+    const values = this.data({fields: keys, includeDefaults: isInsert, includePrivate: true, includeRelated: false});
+
+    const errors = {};
+    for (const key of keys) {
+      const isPrimaryKey = this.recordType.primaryKeyFields.includes(key);
+      const fieldErrors = await getFieldErrors(this.recordType.fields[key], values[key], this, isInsert, isPrimaryKey);
+      if (fieldErrors.length) {
+        errors[key] = fieldErrors;
       }
+    }
 
-      return true;
+    if (Object.keys(errors).length) {
+      throw new ValidationError(this.recordType, errors);
     }
   }
 
@@ -843,6 +1450,7 @@ class Record extends Object {
    * @param {boolean} [includePrivate=false]
    * @param {boolean} [onlyDirty=false]
    * @param {boolean} [onlySet=false]
+   * @param {boolean} [includeRelated=true] - Include loaded relations, by relation name, ignored with onlyDirty or onlySet.
    * @returns {Object}
    */
   data({
@@ -851,6 +1459,7 @@ class Record extends Object {
     includePrivate = false,
     onlyDirty = false,
     onlySet = false,
+    includeRelated = true,
   } = {}) {
     const object = {};
     for (const field of fields || Object.keys(this.recordType.fields)) {
@@ -877,6 +1486,17 @@ class Record extends Object {
       }
     }
 
+    if (includeRelated && !onlyDirty && !onlySet) {
+      const relatedOptions = {includeDefaults, includePrivate};
+      for (const [name, relatedValue] of Object.entries(this.relatedValues)) {
+        if (Array.isArray(relatedValue)) {
+          object[name] = relatedValue.map((relatedRecord) => relatedRecord.data(relatedOptions));
+        } else {
+          object[name] = relatedValue ? relatedValue.data(relatedOptions) : null;
+        }
+      }
+    }
+
     return object;
   }
 
@@ -1,28 +1,65 @@
 'use strict';
-const {outputType, sort} = require('./constants');
+const {joinType, lockStrength, outputType, sort} = require('./constants');
 const {
   AsyncIterationUnavailableError,
+  CursorSecretNotSetError,
   FieldNotFoundError,
   IncompatibleOutputSpecifiedError,
   InvalidOptionCombinationError,
+  InvalidOptionValueError,
   InvalidOutputTypeError,
+  MissingRequiredArgError,
   QueryNotLoadedIterationError,
   RecordTypeRequiredError,
   UnavailableInStreamModeError,
 } = require('./errors');
+const {Aggregate, Rank, isExpression} = require('./expressions');
 const RecordTransform = require('./RecordTransform');
+const {BelongsToMany, getIncludeTree, getSinglePrimaryKeyField, loadIncludes} = require('./relations');
+const {getAmbientConnection} = require('./utils/ambient');
 const {parseArgs} = require('./utils/args');
-const {formatOrderBy, getFieldDbName} = require('./utils/misc');
-const {quoteIdentifier} = require('./utils/sql');
-const {getWhereSql} = require('./wheres');
+const {decodeCursor, encodeCursor} = require('./utils/cursor');
+const {translatedQuery} = require('./utils/errors');
+const {assertLockInTransaction, getLockSql, normalizeLock} = require('./utils/lock');
+const {formatOrderBy, getFieldDbName, getSqlFields} = require('./utils/misc');
+const {getTableParts, getTableSql, quoteIdentifier} = require('./utils/sql');
+const {getWhereSql, resolveField} = require('./wheres');
 const QueryStream = require('pg-query-stream');
 
 const firstArgRequiredMsg = 'A record class or instance is required to create a RecordQuery';
 
+// Selected alongside rows by paginate(), record instances ignore it.
+const cursorColumn = 'supple_cursor';
+
 function getImpliedOutput(returns) {
   return Array.isArray(returns) ? outputType.object : outputType.value;
 }
 
+/**
+ * Condition for rows after a keyset, a row value comparison if every direction matches, expanded otherwise.
+ *
+ * @param {Array<string>} columns
+ * @param {Array<string>} directions - ASC or DESC for each column.
+ * @param {number} bindParamsUsed
+ * @returns {string}
+ */
+function getKeysetSql(columns, directions, bindParamsUsed) {
+  const params = columns.map((_, i) => '$' + (bindParamsUsed + i + 1));
+  const getOperator = (direction) => direction === 'DESC' ? '<' : '>';
+
+  if (new Set(directions).size === 1) {
+    return `(${columns.join(', ')}) ${getOperator(directions[0])} (${params.join(', ')})`;
+  }
+
+  const alternatives = columns.map((column, i) => {
+    const equals = columns.slice(0, i).map((previousColumn, j) => `${previousColumn} = ${params[j]}`);
+
+    return '(' + [...equals, `${column} ${getOperator(directions[i])} ${params[i]}`].join(' AND ') + ')';
+  });
+
+  return '(' + alternatives.join(' OR ') + ')';
+}
+
 /**
  * @typedef {Object} RecordQuery
  * @memberOf SQL
@@ -48,10 +85,17 @@ class RecordQuery extends Object {
 
   defaultOrderBys = [];
 
+  _includes = {};
+  joins = {};
+
   wheres = [];
+  _select = null;
+  groupBys = [];
+  havings = [];
   orderBys = [];
   _limit = null;
   _offset = null;
+  _lock = null;
 
   rows = [];
   isLoaded = false;
@@ -113,7 +157,8 @@ class RecordQuery extends Object {
   }
 
   async getConnection() {
-    let conn = this.conn;
+    // The ambient connection only stands in for the default pool, not an explicitly set one.
+    let conn = this.conn || (this.pool ? null : getAmbientConnection());
     if (!conn) {
       const pool = this.pool || require('./index').getDefaultPool();
       conn = await pool.connect();
@@ -122,6 +167,24 @@ class RecordQuery extends Object {
     return conn;
   }
 
+  /**
+   * Release a connection from getConnection() if it was checked out just for this call.
+   *
+   * @param {pg.Client} conn
+   * @param {pg.Client} [ambientConn] - Ambient connection at the time conn was acquired.
+   */
+  releaseConnection(conn, ambientConn = getAmbientConnection()) {
+    if (conn !== this.conn && conn !== ambientConn) {
+      conn.release();
+    }
+  }
+
+  async checkLock(conn) {
+    if (this._lock) {
+      await assertLockInTransaction(conn);
+    }
+  }
+
   validateReturns(returns = this._options.returns, output = this._options.output, impliedOutput = null) {
     if (!returns || !output) {
       return;
@@ -175,6 +238,9 @@ class RecordQuery extends Object {
     if (this._options.returns) {
       this.validateReturns(this._options.returns, type);
     }
+    if (this._select && type !== outputType.object) {
+      throw new IncompatibleOutputSpecifiedError(`select() only supports an output type of ${outputType.object}.`);
+    }
 
     const oldOutput = this._options.output;
     this._options.output = type;
@@ -193,6 +259,10 @@ class RecordQuery extends Object {
    * @returns {RecordQuery}
    */
   returns(keyOrKeys) {
+    if (this._select) {
+      throw new InvalidOptionCombinationError('returns cannot be combined with select().');
+    }
+
     const oldReturns = this._options.returns;
     this._options.returns = keyOrKeys instanceof Set ? Array.from(keyOrKeys) : keyOrKeys;
 
@@ -219,10 +289,65 @@ class RecordQuery extends Object {
     return this;
   }
 
+  /**
+   * Select field keys and expressions under aliases, chainable.
+   * Implies object output, each result row has exactly the select's aliases as keys.
+   *
+   * @param {Object} select - Aliases to a field key, dotted for joined fields, or an expression like an SQL.fn aggregate or SQL.headline().
+   * @returns {RecordQuery}
+   */
+  select(select) {
+    if (this._options.returns) {
+      throw new InvalidOptionCombinationError('select() cannot be combined with returns.');
+    }
+    for (const [alias, value] of Object.entries(select)) {
+      if (typeof value !== 'string' && !isExpression(value)) {
+        throw new InvalidOptionValueError(`Invalid select value for ${alias}, expected a field key or expression.`);
+      }
+    }
+
+    this._select = select;
+    this.output(outputType.object);
+
+    this.setLoaded(false);
+
+    return this;
+  }
+
+  /**
+   * Add group by field keys to query, chainable.
+   * Grouped queries default to ordering by their group by fields instead of the primary key.
+   *
+   * @param {...string} keys
+   * @returns {RecordQuery}
+   */
+  groupBy(...keys) {
+    Array.prototype.push.apply(this.groupBys, keys);
+
+    this.setLoaded(false);
+
+    return this;
+  }
+
+  /**
+   * Add having conditions to query, chainable.
+   * Like where() but applied after grouping, keys can also be select() aliases.
+   *
+   * @param {Object|Array|ConnectedWheres} havings
+   * @returns {RecordQuery}
+   */
+  having(havings) {
+    this.havings.push(havings);
+
+    this.setLoaded(false);
+
+    return this;
+  }
+
   /**
    * Add order by to query, chainable.
    *
-   * @param {...*} orderBys - An order by can either be a bare string field key or an array of field key then sort direction.
+   * @param {...*} orderBys - An order by can either be a bare field key or expression, or an array of one then sort direction.
    * @returns {RecordQuery}
    */
   orderBy(...orderBys) {
@@ -236,6 +361,17 @@ class RecordQuery extends Object {
     return this;
   }
 
+  /**
+   * Order by full text search relevance, most relevant first, chainable.
+   *
+   * @param {string} key - tsvector field, or another field to convert with to_tsvector().
+   * @param {TextSearch|string} queryOrTextSearch - Usually the SQL.textSearch() from the wheres, strings are searched in plain mode.
+   * @returns {RecordQuery}
+   */
+  orderByRank(key, queryOrTextSearch) {
+    return this.orderBy([new Rank(key, queryOrTextSearch), sort.desc]);
+  }
+
   /**
    * Set the limit for the query, chainable.
    *
@@ -272,11 +408,171 @@ class RecordQuery extends Object {
     return this;
   }
 
+  /**
+   * Join another table, chainable.
+   * Named joinRelation() rather than join() since queries are also Arrays, keeping Array.prototype.join() intact.
+   * Joined fields can then be used in wheres and order bys with a dotted key, e.g. {'author.email': ...}.
+   * Results are still rows of this query's record type, a hasMany join returns a row for each match.
+   *
+   * @param {string} name - A relation declared on the record type, dotted to join a relation of an earlier join, or an alias when recordType and on are given.
+   * @param {Object} [options]
+   * @param {joinType} [options.type=inner]
+   * @param {Record.prototype.constructor} [options.recordType] - Join a record without a declared relation, requires on.
+   * @param {Object} [options.on] - Joined field keys to the field keys, possibly dotted, they must equal.
+   * @returns {RecordQuery}
+   */
+  joinRelation(name, {type = joinType.inner, recordType = null, on = null} = {}) {
+    if (!joinType[type]) {
+      throw new InvalidOptionValueError(`Invalid join type value: ${type}`);
+    }
+    if (Object.hasOwn(this.joins, name) || name === getTableParts(this.recordType).table) {
+      throw new InvalidOptionValueError(`Join ${name} conflicts with an existing join or table.`);
+    }
+
+    const joinSql = `${type.toUpperCase()} JOIN`;
+    const joinedColumn = (joinedType, alias, key) => resolveField(joinedType.name, joinedType.fields, key, {table: alias}).column;
+
+    let joinedType = recordType;
+    const clauses = [];
+    if (joinedType) {
+      if (!on) {
+        throw new MissingRequiredArgError('The on option is required when joining by recordType.');
+      }
+
+      // Always qualified, even for a first join both tables can have the same column names.
+      const scope = {table: getTableParts(this.recordType).table, joins: this.joins};
+      const conditions = Object.entries(on).map(([joinedKey, key]) => {
+        const {column} = resolveField(this.recordName, this.recordType.fields, key, scope);
+
+        return `${joinedColumn(joinedType, name, joinedKey)} = ${column}`;
+      });
+      clauses.push(`${joinSql} ${getTableSql(joinedType)} AS ${quoteIdentifier(name)} ON ${conditions.join(' AND ')}`);
+    } else {
+      const dotIndex = name.lastIndexOf('.');
+      const parentAlias = dotIndex !== -1 ? name.slice(0, dotIndex) : null;
+      if (parentAlias !== null && !Object.hasOwn(this.joins, parentAlias)) {
+        throw new InvalidOptionValueError(`Join ${parentAlias} must be added before ${name}.`);
+      }
+
+      const parentType = parentAlias !== null ? this.joins[parentAlias].recordType : this.recordType;
+      const parentColumn = (key) => joinedColumn(parentType, parentAlias ?? getTableParts(this.recordType).table, key);
+      const relation = parentType.getRelation(name.slice(dotIndex + 1));
+      joinedType = relation.recordType;
+
+      if (relation instanceof BelongsToMany) {
+        const throughAlias = quoteIdentifier(`${name}__through`);
+        const {table, sourceColumn, targetColumn} = relation.getThroughSql();
+        const parentPrimaryKey = parentColumn(getSinglePrimaryKeyField(parentType));
+        const joinedPrimaryKey = joinedColumn(joinedType, name, getSinglePrimaryKeyField(joinedType));
+
+        clauses.push(`${joinSql} ${table} AS ${throughAlias} ON ${throughAlias}.${sourceColumn} = ${parentPrimaryKey}`);
+        clauses.push(`${joinSql} ${getTableSql(joinedType)} AS ${quoteIdentifier(name)} ON ${joinedPrimaryKey} = ${throughAlias}.${targetColumn}`);
+      } else {
+        const {sourceKey, targetKey} = relation.getKeys(parentType);
+
+        clauses.push(`${joinSql} ${getTableSql(joinedType)} AS ${quoteIdentifier(name)} ON ${joinedColumn(joinedType, name, targetKey)} = ${parentColumn(sourceKey)}`);
+      }
+    }
+
+    this.joins[name] = {recordType: joinedType, sql: clauses.join(' ')};
+
+    this.setLoaded(false);
+
+    return this;
+  }
+
+  get hasJoins() {
+    return Object.keys(this.joins).length > 0;
+  }
+
+  /**
+   * Options for resolveField() and getWhereSql() which handle joins.
+   *
+   * @returns {{table: string|null, joins: Object|null}}
+   */
+  getFieldScope() {
+    return this.hasJoins ? {table: getTableParts(this.recordType).table, joins: this.joins} : {table: null, joins: null};
+  }
+
+  /**
+   * Lock matched rows, chainable. Running a locking query outside of a transaction throws LockOutsideTransactionError.
+   *
+   * @param {lockStrength|Object|null} lock - A strength, or {strength, skipLocked, noWait, of}, null to remove the lock.
+   * @returns {RecordQuery}
+   */
+  lock(lock) {
+    this._lock = lock ? normalizeLock(lock) : null;
+
+    this.setLoaded(false);
+
+    return this;
+  }
+
+  /**
+   * Lock matched rows FOR UPDATE, chainable.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.skipLocked=false] - Skip rows locked by others instead of waiting, e.g. for job queues.
+   * @param {boolean} [options.noWait=false] - Error instead of waiting for rows locked by others.
+   * @param {Array<string|Record.prototype.constructor>} [options.of] - Only lock rows of these tables or join aliases.
+   * @returns {RecordQuery}
+   */
+  forUpdate(options = {}) {
+    return this.lock({...options, strength: lockStrength.update});
+  }
+
+  /**
+   * Lock matched rows FOR NO KEY UPDATE, chainable. Options are the same as forUpdate().
+   *
+   * @param {Object} [options]
+   * @returns {RecordQuery}
+   */
+  forNoKeyUpdate(options = {}) {
+    return this.lock({...options, strength: lockStrength.noKeyUpdate});
+  }
+
+  /**
+   * Lock matched rows FOR SHARE, chainable. Options are the same as forUpdate().
+   *
+   * @param {Object} [options]
+   * @returns {RecordQuery}
+   */
+  forShare(options = {}) {
+    return this.lock({...options, strength: lockStrength.share});
+  }
+
+  /**
+   * Lock matched rows FOR KEY SHARE, chainable. Options are the same as forUpdate().
+   *
+   * @param {Object} [options]
+   * @returns {RecordQuery}
+   */
+  forKeyShare(options = {}) {
+    return this.lock({...options, strength: lockStrength.keyShare});
+  }
+
+  /**
+   * Eager load relations onto the resulting records, chainable.
+   * After run() each level of relations is loaded with a single query and available through related() or data().
+   *
+   * @param {...(string|Array|Object)} includes - See getIncludeTree() in relations.
+   * @returns {RecordQuery}
+   */
+  include(...includes) {
+    getIncludeTree(this.recordType, includes, this._includes);
+
+    this.setLoaded(false);
+
+    return this;
+  }
+
   /**
    * Set options for the query, chainable.
    *
    * @param {Object} options
    * @param {boolean} [options.debug] - Like debug=.
+   * @param {string|Array|Object} [options.include] - Like include().
+   * @param {lockStrength|Object} [options.lock] - Like lock().
    * @param {outputType} [options.output] - Like output().
    * @param {string|Array|Set} [options.returns] - Like returns().
    * @param {boolean} options [options.stream]
@@ -299,6 +595,12 @@ class RecordQuery extends Object {
     if (options.output) {
       this.output(options.output);
     }
+    if (options.include) {
+      this.include(options.include);
+    }
+    if (options.lock) {
+      this.lock(options.lock);
+    }
 
     return this;
   }
@@ -312,18 +614,31 @@ class RecordQuery extends Object {
   async run(...args) {
     this.validateReturns();
 
+    const hasIncludes = Object.keys(this._includes).length > 0;
+    if (hasIncludes) {
+      if (this._options.stream) {
+        throw new UnavailableInStreamModeError('Includes are not supported when in stream mode.');
+      }
+      if (this._options.output !== outputType.record) {
+        throw new InvalidOptionCombinationError('Includes are only supported with record output.');
+      }
+    }
+
+    const {connOrPool} = parseArgs(args);
+
     const conn = await this.getConnection();
+    // Captured up front, stream end events aren't guaranteed to fire within our async context.
+    const ambientConn = getAmbientConnection();
     let isReleased = false;
     const release = () => {
       if (isReleased) {
         return;
       }
-      if (!this.conn) {
-        conn.release();
-      }
+      this.releaseConnection(conn, ambientConn);
       isReleased = true;
     };
     try {
+      await this.checkLock(conn);
       const {query, values} = this.getSql(conn);
 
       if (this.debug) {
@@ -347,46 +662,175 @@ class RecordQuery extends Object {
         return this;
       }
 
-      const dbResponse = await conn.query({
+      const dbResponse = await translatedQuery(conn, {
         text: query,
         values,
         rowMode: 'object',
-      });
+      }, this.recordType);
 
-      let rows = dbResponse.rows;
-      switch (this._options.output) {
-        case outputType.record: {
-          const {connOrPool} = parseArgs(args);
-          const recordArgs = [];
-          const cascadedConnOrPool = connOrPool || this.conn || this.pool;
-          if (cascadedConnOrPool) {
-            recordArgs.push(cascadedConnOrPool);
-          }
+      this.rows = this.getOutputRows(dbResponse.rows, connOrPool, conn);
+    } finally {
+      release();
+    }
 
-          rows = rows.map((row) => {
-            const rowInstance = new this.recordType(...recordArgs);
-            rowInstance.loadDbObject(row);
+    if (hasIncludes && this.rows.length) {
+      // Only once released, holding our connection while checking out more from a small pool could deadlock.
+      await loadIncludes(this.rows, this._includes, connOrPool || this.conn || this.pool);
+    }
+
+    this.setLoaded(true);
+
+    return this;
+  }
 
-            return rowInstance;
-          });
-          break;
+  /* End Chainable */
+
+  /**
+   * Map db rows to the query's output type.
+   *
+   * @param {Array<Object>} dbRows
+   * @param {pg.Client|pg.Pool} [connOrPool] - Passed on to record instances, defaults to the query's conn or pool.
+   * @param {pg.Client} [conn] - Connection the rows were read with, for Record afterLoad() hooks.
+   * @returns {Array}
+   */
+  getOutputRows(dbRows, connOrPool = null, conn = null) {
+    switch (this._options.output) {
+      case outputType.record: {
+        const recordArgs = [];
+        const cascadedConnOrPool = connOrPool || this.conn || this.pool;
+        if (cascadedConnOrPool) {
+          recordArgs.push(cascadedConnOrPool);
         }
 
-        case outputType.value:
-          rows = rows.map((row) => row[this._options.returns]);
-          break;
+        return dbRows.map((row) => {
+          const rowInstance = new this.recordType(...recordArgs);
+          rowInstance.loadDbObject(row, conn);
+
+          return rowInstance;
+        });
       }
-      this.rows = rows;
 
-      this.setLoaded(true);
+      case outputType.value:
+        return dbRows.map((row) => row[this._options.returns]);
+    }
 
-      return this;
-    } finally {
-      release();
+    return dbRows;
+  }
+
+  /**
+   * Update every row matching the query's wheres with a single UPDATE.
+   *
+   * @param {Object} values - Field keys to new values, SqlValues and valueNow are supported like they are for save().
+   * @param {Object} [options]
+   * @param {boolean} [options.returning=false] - Resolve to the updated rows, with the same output handling as run(), instead of a count.
+   * @returns {Promise<number|Array>}
+   */
+  async update(values, {returning = false} = {}) {
+    this.validateMutation('update', returning);
+
+    for (const key of Object.keys(values)) {
+      if (!this.recordType.fields[key]) {
+        throw new FieldNotFoundError(key, this.recordName);
+      }
+    }
+
+    const setStrings = [];
+    const setValues = [];
+    for (const sqlField of Object.values(getSqlFields(this.recordType.fields, values))) {
+      setStrings.push(sqlField.name + ' = ' + sqlField.string);
+      if (sqlField.bind) {
+        setValues.push(sqlField.bindValue);
+      }
+    }
+    if (!setStrings.length) {
+      return returning ? [] : 0; // Nothing to update.
+    }
+    const versionField = this.recordType.versionField;
+    if (versionField && values[versionField] === undefined) {
+      const versionName = quoteIdentifier(getFieldDbName(this.recordType.fields, versionField));
+      setStrings.push(`${versionName} = COALESCE(${versionName}, 0) + 1`);
     }
+
+    return this.runMutation('UPDATE', (conn) => {
+      const wherePack = getWhereSql(conn, this.recordName, this.recordType.fields, this.wheres, {bindParamsUsed: setValues.length});
+
+      const query = [
+        'UPDATE',
+        getTableSql(this.recordType),
+        'SET',
+        setStrings.join(', '),
+        wherePack.query ? 'WHERE' : null,
+        wherePack.query,
+        returning ? 'RETURNING ' + this.getSelectSql() : null,
+      ].filter(Boolean).join(' ');
+
+      return {query, values: [...setValues, ...wherePack.values]};
+    }, returning);
   }
 
-  /* End Chainable */
+  /**
+   * Delete every row matching the query's wheres with a single DELETE.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.returning=false] - Resolve to the deleted rows, with the same output handling as run(), instead of a count.
+   * @returns {Promise<number|Array>}
+   */
+  async delete({returning = false} = {}) {
+    this.validateMutation('delete', returning);
+
+    return this.runMutation('DELETE', (conn) => {
+      const wherePack = getWhereSql(conn, this.recordName, this.recordType.fields, this.wheres);
+
+      const query = [
+        'DELETE FROM',
+        getTableSql(this.recordType),
+        wherePack.query ? 'WHERE' : null,
+        wherePack.query,
+        returning ? 'RETURNING ' + this.getSelectSql() : null,
+      ].filter(Boolean).join(' ');
+
+      return {query, values: wherePack.values};
+    }, returning);
+  }
+
+  validateMutation(name, returning) {
+    if (this._limit !== null || this._offset !== null) {
+      throw new InvalidOptionCombinationError(`${name}() does not support limit or offset.`);
+    }
+    if (this.hasJoins) {
+      throw new InvalidOptionCombinationError(`${name}() does not support joins.`);
+    }
+    if (this._select || this.groupBys.length || this.havings.length) {
+      throw new InvalidOptionCombinationError(`${name}() does not support select, groupBy or having.`);
+    }
+    if (returning) {
+      if (this._options.stream) {
+        throw new UnavailableInStreamModeError(`${name}() returning is not supported when in stream mode.`);
+      }
+      this.validateReturns();
+    }
+  }
+
+  async runMutation(debugLabel, getSql, returning) {
+    const conn = await this.getConnection();
+    try {
+      const {query, values} = getSql(conn);
+
+      if (this.debug) {
+        console.debug('QUERY ' + debugLabel, {query, values});
+      }
+
+      const dbResponse = await translatedQuery(conn, {
+        text: query,
+        values,
+        rowMode: 'object',
+      }, this.recordType);
+
+      return returning ? this.getOutputRows(dbResponse.rows, null, conn) : dbResponse.rowCount;
+    } finally {
+      this.releaseConnection(conn);
+    }
+  }
 
   /**
    * Run a count version of the query.
@@ -396,24 +840,111 @@ class RecordQuery extends Object {
   async count() {
     const conn = await this.getConnection();
     try {
+      await this.checkLock(conn);
       const {query, values} = this.getSql(conn, {count: true});
 
       if (this.debug) {
         console.debug('QUERY COUNT', {query, values});
       }
 
-      const dbResponse = await conn.query({
+      const dbResponse = await translatedQuery(conn, {
         text: query,
         values,
         rowMode: 'array',
-      });
+      }, this.recordType);
 
       return dbResponse.rows[0][0];
     } finally {
-      if (!this.conn) {
-        conn.release();
+      this.releaseConnection(conn);
+    }
+  }
+
+  /**
+   * Get a page of records after a cursor, using keyset pagination rather than an offset.
+   * Ordered by the query's order bys, or the primary key, with any primary key fields not already included appended to keep the order stable.
+   * Order by fields should be non-null, null values are skipped over by the row comparisons.
+   *
+   * @param {Object} options
+   * @param {string} [options.after] - An endCursor from a previous page, omit for the first page.
+   * @param {number} options.first - Page size.
+   * @returns {Promise<{rows: Array<Record>, pageInfo: {endCursor: string|null, hasNextPage: boolean}}>}
+   */
+  async paginate({after = null, first = null} = {}) {
+    if (!Number.isInteger(first) || first < 1) {
+      throw new InvalidOptionValueError('first must be a positive integer.');
+    }
+    if (this._options.stream) {
+      throw new UnavailableInStreamModeError('paginate() is not supported when in stream mode.');
+    }
+    if (this._options.output !== outputType.record) {
+      throw new InvalidOptionCombinationError('paginate() is only supported with record output.');
+    }
+    if (this._limit !== null || this._offset !== null) {
+      throw new InvalidOptionCombinationError('paginate() does not support limit or offset.');
+    }
+
+    const secret = require('./index').cursorSecret;
+    if (!secret) {
+      throw new CursorSecretNotSetError();
+    }
+
+    if (this.orderBys.some(([key]) => isExpression(key))) {
+      throw new InvalidOptionCombinationError('paginate() only supports ordering by field keys.');
+    }
+
+    const orderBys = (this.orderBys.length ? this.orderBys : this.defaultOrderBys)
+      .map(([key, direction = sort.asc]) => [key, String(direction).toUpperCase()]);
+    for (const pkField of this.recordType.primaryKeyFields) {
+      if (!orderBys.some(([key]) => key === pkField)) {
+        orderBys.push([pkField, sort.asc.toUpperCase()]);
+      }
+    }
+    // Cursors only apply to the order they came from.
+    const order = orderBys.map((orderBy) => orderBy.join(' ')).join(', ');
+
+    const keyset = {
+      orderBys,
+      after: after !== null ? decodeCursor(secret, order, after) : null,
+      limit: first + 1, // One extra to know if there's a next page.
+    };
+
+    let dbRows;
+    let pageDbRows;
+    let rows;
+    const conn = await this.getConnection();
+    try {
+      await this.checkLock(conn);
+      const {query, values} = this.getSql(conn, {keyset});
+
+      if (this.debug) {
+        console.debug('QUERY PAGINATE', {query, values});
       }
+
+      const dbResponse = await translatedQuery(conn, {
+        text: query,
+        values,
+        rowMode: 'object',
+      }, this.recordType);
+      dbRows = dbResponse.rows;
+      pageDbRows = dbRows.slice(0, first);
+      rows = this.getOutputRows(pageDbRows, null, conn);
+    } finally {
+      this.releaseConnection(conn);
     }
+
+    if (Object.keys(this._includes).length && rows.length) {
+      await loadIncludes(rows, this._includes, this.conn || this.pool);
+    }
+
+    const lastDbRow = pageDbRows[pageDbRows.length - 1];
+
+    return {
+      rows,
+      pageInfo: {
+        endCursor: lastDbRow ? encodeCursor(secret, order, lastDbRow[cursorColumn]) : null,
+        hasNextPage: dbRows.length > first,
+      },
+    };
   }
 
   /**
@@ -425,6 +956,7 @@ class RecordQuery extends Object {
    * @param {boolean} [includePrivate=false]
    * @param {boolean} [onlyDirty=false]
    * @param {boolean} [onlySet=false]
+   * @param {boolean} [includeRelated=true]
    * @returns {Array}
    */
   data({
@@ -433,6 +965,7 @@ class RecordQuery extends Object {
      includePrivate = false,
      onlyDirty = false,
      onlySet = false,
+     includeRelated = true,
    } = {}) {
     if (this._options.stream) {
       throw new UnavailableInStreamModeError('Cannot call data() with stream=true.');
@@ -447,16 +980,21 @@ class RecordQuery extends Object {
     const results = [];
     for (const row of this.rows) {
       if (this._options.output === outputType.record) {
-        results.push(row.data({fields, includeDefaults, includePrivate, onlyDirty, onlySet}));
+        results.push(row.data({fields, includeDefaults, includePrivate, onlyDirty, onlySet, includeRelated}));
       } else {
         let outputRow = row;
 
         if (fields || !includePrivate) {
-          const allowedKeys = new Set(fields || Object.keys(this.recordType.fields));
+          const allowedKeys = new Set(fields || Object.keys(this._select || this.recordType.fields));
           if (!includePrivate) {
             for (const privateField of this.recordType.privateFields) {
               allowedKeys.delete(privateField);
             }
+            for (const [alias, value] of Object.entries(this._select || {})) {
+              if (this.recordType.privateFields.includes(value)) {
+                allowedKeys.delete(alias);
+              }
+            }
           }
 
           if (this._options.output === outputType.value) {
@@ -500,16 +1038,120 @@ class RecordQuery extends Object {
     return results;
   }
 
-  getSql(conn, {count = false, isSubquery = false, bindParamsUsed = 0} = {}) {
-    const wherePack = getWhereSql(conn, this.recordName, this.recordType.fields, this.wheres, {bindParamsUsed});
+  getDefaultOrderBys() {
+    const hasAggregates = this._select && Object.values(this._select).some((value) => value instanceof Aggregate);
+    if (this.groupBys.length || hasAggregates) {
+      // The primary key isn't available once grouped.
+      return this.groupBys.map((key) => [key, sort.asc]);
+    }
+
+    return this.defaultOrderBys;
+  }
+
+  /**
+   * Resolve select() aliases for use in resolveField() scopes.
+   *
+   * @returns {Object<string, {fieldDefinition: Object|null, column: string}>|null}
+   */
+  getSelectAliases() {
+    if (!this._select) {
+      return null;
+    }
+
+    const scope = this.getFieldScope();
+    const resolve = (key) => resolveField(this.recordName, this.recordType.fields, key, scope);
+
+    const aliases = {};
+    for (const [alias, value] of Object.entries(this._select)) {
+      aliases[alias] = isExpression(value)
+        ? {fieldDefinition: null, column: value.getExpressionSql(resolve)}
+        : resolve(value);
+    }
+
+    return aliases;
+  }
+
+  getSelectSql(aliases = this.getSelectAliases()) {
+    const {table} = this.getFieldScope();
+    if (aliases) {
+      return Object.entries(aliases)
+        .map(([alias, {column}]) => `${column} AS ${quoteIdentifier(alias)}`)
+        .join(', ');
+    }
+    if (this._options.output === outputType.record) {
+      return table ? `${quoteIdentifier(table)}.*` : '*';
+    }
+
+    let fieldKeys;
+    if (Array.isArray(this._options.returns)) {
+      fieldKeys = this._options.returns;
+    } else if (this._options.returns) {
+      fieldKeys = [this._options.returns];
+    } else {
+      fieldKeys = Object.keys(this.recordType.fields);
+    }
+
+    return fieldKeys
+      .map(k => {
+        const fieldDbName = getFieldDbName(this.recordType.fields, k);
+        let fieldSelect = (table ? quoteIdentifier(table) + '.' : '') + quoteIdentifier(fieldDbName);
+        if (fieldDbName !== k) {
+          fieldSelect += ' as ' + quoteIdentifier(k);
+        }
+        return fieldSelect;
+      })
+      .join(', ');
+  }
+
+  /**
+   * @param {pg.Client} conn
+   * @param {Object} [options]
+   * @param {boolean} [options.count=false]
+   * @param {boolean} [options.isSubquery=false]
+   * @param {number} [options.bindParamsUsed=0]
+   * @param {Object} [options.keyset] - Used by paginate(), {orderBys, after, limit} replacing the query's own order and limit.
+   * @returns {{query: string, values: Array}}
+   */
+  getSql(conn, {count = false, isSubquery = false, bindParamsUsed = 0, keyset = null} = {}) {
+    const scope = this.getFieldScope();
+    const resolveColumn = (key) => resolveField(this.recordName, this.recordType.fields, key, scope).column;
+    const wherePack = getWhereSql(conn, this.recordName, this.recordType.fields, this.wheres, {bindParamsUsed, scope});
+
+    let selectSql = null;
+    if (keyset) {
+      const keysetColumns = keyset.orderBys.map(([key]) => resolveColumn(key));
+      selectSql = `ARRAY[${keysetColumns.map((column) => column + '::text').join(', ')}] AS ${quoteIdentifier(cursorColumn)}`;
+
+      if (keyset.after) {
+        const directions = keyset.orderBys.map(([, direction]) => direction);
+        const keysetQuery = getKeysetSql(keysetColumns, directions, bindParamsUsed + wherePack.values.length);
+        wherePack.query = wherePack.query ? `(${wherePack.query}) AND ${keysetQuery}` : keysetQuery;
+        Array.prototype.push.apply(wherePack.values, keyset.after);
+      }
+    }
+
+    // Having and order by can also use select aliases, expanded since Postgres doesn't allow them within expressions.
+    const aliases = this.getSelectAliases();
+    const aliasedScope = {...scope, aliases};
+
+    let groupByString = null;
+    if (this.groupBys.length) {
+      groupByString = 'GROUP BY ' + this.groupBys.map(resolveColumn).join(', ');
+    }
+
+    const havingPack = getWhereSql(conn, this.recordName, this.recordType.fields, this.havings, {
+      bindParamsUsed: bindParamsUsed + wherePack.values.length,
+      scope: aliasedScope,
+    });
 
     let limitString = null;
-    const hasLimit = this._limit !== null;
+    const limit = keyset ? keyset.limit : this._limit;
+    const hasLimit = limit !== null;
     const hasOffset = this._offset !== null;
     if (hasLimit || hasOffset) {
       const limitParts = [];
       if (hasLimit) {
-        limitParts.push(`LIMIT ${this._limit}`);
+        limitParts.push(`LIMIT ${limit}`);
       }
       if (hasOffset) {
         limitParts.push(`OFFSET ${this._offset}`);
@@ -521,49 +1163,31 @@ class RecordQuery extends Object {
     const canSkipOrderBy = isSubquery && !hasLimit && !hasOffset;
     if (!canSkipOrderBy) {
       const orderByParts = [];
-      const orderBys = this.orderBys.length ? this.orderBys : this.defaultOrderBys;
+      let orderBys = this.orderBys.length ? this.orderBys : this.getDefaultOrderBys();
+      if (keyset) {
+        orderBys = keyset.orderBys;
+      }
+      const resolveAliased = (key) => resolveField(this.recordName, this.recordType.fields, key, aliasedScope);
       for (const orderBy of orderBys) {
-        const key = orderBy[0];
-        if (!this.recordType.fields[key]) {
-          throw new FieldNotFoundError(key, this.recordName);
-        }
-        orderByParts.push(formatOrderBy(this.recordType.fields, orderBy));
+        const column = isExpression(orderBy[0]) ? orderBy[0].getExpressionSql(resolveAliased) : resolveAliased(orderBy[0]).column;
+        orderByParts.push(formatOrderBy(column, orderBy));
       }
 
-      orderByString = 'ORDER BY ' + orderByParts.join(', ');
-    }
-
-    let selectSql;
-    if (this._options.output === outputType.record) {
-      selectSql = '*';
-    } else {
-      let fieldKeys;
-      if (Array.isArray(this._options.returns)) {
-        fieldKeys = this._options.returns;
-      } else if (this._options.returns) {
-        fieldKeys = [this._options.returns];
-      } else {
-        fieldKeys = Object.keys(this.recordType.fields);
-      }
-      selectSql = fieldKeys
-        .map(k => {
-          const fieldDbName = getFieldDbName(this.recordType.fields, k);
-          let fieldSelect = quoteIdentifier(fieldDbName);
-          if (fieldDbName !== k) {
-            fieldSelect += ' as ' + quoteIdentifier(k);
-          }
-          return fieldSelect;
-        })
-        .join(', ');
+      orderByString = orderByParts.length ? 'ORDER BY ' + orderByParts.join(', ') : null;
     }
 
     let query = [
-      `SELECT ${selectSql} FROM`,
-      quoteIdentifier(this.recordType.table),
+      `SELECT ${[this.getSelectSql(aliases), selectSql].filter(Boolean).join(', ')} FROM`,
+      getTableSql(this.recordType),
+      ...Object.values(this.joins).map((join) => join.sql),
       wherePack.query ? 'WHERE' : null,
       wherePack.query,
+      groupByString,
+      havingPack.query ? 'HAVING' : null,
+      havingPack.query,
       orderByString,
       limitString,
+      this._lock ? getLockSql(this._lock) : null,
     ].filter(Boolean).join(' ');
 
     if (count) {
@@ -571,7 +1195,7 @@ class RecordQuery extends Object {
       query = `SELECT count(*)::int FROM (${query}) a`;
     }
 
-    return {query, values: wherePack.values};
+    return {query, values: [...wherePack.values, ...havingPack.values]};
   }
 
   [Symbol.iterator] = () => {
@@ -611,7 +1235,8 @@ class RecordQuery extends Object {
 }
 
 for (const key of Object.getOwnPropertyNames(Array.prototype)) {
-  if (key === 'constructor' || typeof Array.prototype[key] !== 'function') {
+  // Our own methods win, results are still available as an array through rows.
+  if (key === 'constructor' || typeof Array.prototype[key] !== 'function' || Object.hasOwn(RecordQuery.prototype, key)) {
     continue;
   }
   RecordQuery.prototype[key] = function (...args) {
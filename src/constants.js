@@ -1,21 +1,40 @@
 'use strict';
 
+const codeCheckViolation = '23514';
+const codeDeadlockDetected = '40P01';
+const codeExclusionViolation = '23P01';
+const codeForeignKeyViolation = '23503';
+const codeNotNullViolation = '23502';
+const codeSerializationFailure = '40001';
 const codeStatementTimeout = '57014'; // Technically 57014 is all "query_canceled" but the only reason we expect to see it is a statement_timeout.
+const codeUniqueViolation = '23505';
 
 /**
  * @typedef {Object} comparison
  * @memberOf SQL
  *
+ * @property {string} adjacent - Ranges that touch without overlapping.
  * @property {string} all
  * @property {string} any
+ * @property {string} arrayContainedBy
+ * @property {string} arrayContains
+ * @property {string} arrayOverlaps
+ * @property {string} between - Use SQL.between(lower, upper), inclusive of both.
+ * @property {string} containedBy - Range or element within a range.
  * @property {string} distinctFrom
  * @property {string} equal
  * @property {string} exists
  * @property {string} greater
  * @property {string} greaterEqual
+ * @property {string} hasAllKeys - jsonb has every key in a text array.
+ * @property {string} hasAnyKeys - jsonb has any key in a text array.
+ * @property {string} hasKey - jsonb has a top level key.
  * @property {string} ilike
  * @property {string} in
  * @property {string} iregex
+ * @property {string} jsonContainedBy
+ * @property {string} jsonContains
+ * @property {string} jsonPathMatch - jsonb matches a jsonpath predicate.
  * @property {string} less
  * @property {string} lessEqual
  * @property {string} like
@@ -32,21 +51,35 @@ const codeStatementTimeout = '57014'; // Technically 57014 is all "query_cancele
  * @property {string} notRegex
  * @property {string} notSimilarTo
  * @property {string} notUnknown
+ * @property {string} overlaps - Ranges with any points in common.
+ * @property {string} rangeContains - Range contains a range or element.
  * @property {string} regex
  * @property {string} similarTo
  * @property {string} unknown
  */
 const comparison = {
+  adjacent: '-|-',
   all: '= ALL',
   any: '= ANY',
+  arrayContainedBy: '<@',
+  arrayContains: '@>',
+  arrayOverlaps: '&&',
+  between: 'BETWEEN',
+  containedBy: '<@',
   distinctFrom: 'IS DISTINCT FROM',
   equal: '=',
   exists: 'EXISTS',
   greater: '>',
   greaterEqual: '>=',
+  hasAllKeys: '?&',
+  hasAnyKeys: '?|',
+  hasKey: '?',
   ilike: 'ILIKE',
   in: 'IN',
   iregex: '~*',
+  jsonContainedBy: '<@',
+  jsonContains: '@>',
+  jsonPathMatch: '@@',
   less: '<',
   lessEqual: '<=',
   like: 'LIKE',
@@ -63,6 +96,8 @@ const comparison = {
   notRegex: '!~',
   notSimilarTo: 'NOT SIMILAR TO',
   notUnknown: 'IS NOT UNKNOWN',
+  overlaps: '&&',
+  rangeContains: '@>',
   regex: '~',
   similarTo: 'SIMILAR TO',
   unknown: 'IS UNKNOWN',
@@ -82,6 +117,58 @@ const connective = {
   or: 'or',
 };
 
+/**
+ * @typedef {Object} isolationLevel
+ * @memberOf SQL
+ *
+ * @property {string} readCommitted - Postgres default.
+ * @property {string} repeatableRead
+ * @property {string} serializable
+ */
+const isolationLevel = {
+  readCommitted: 'read committed',
+  repeatableRead: 'repeatable read',
+  serializable: 'serializable',
+};
+
+/**
+ * @typedef {Object} joinType
+ * @memberOf SQL
+ *
+ * @property {string} inner - Only rows with a match (default).
+ * @property {string} left - Rows without a match are kept.
+ */
+const joinType = {
+  inner: 'inner',
+  left: 'left',
+};
+
+/**
+ * @typedef {Object} lockStrength
+ * @memberOf SQL
+ *
+ * @property {string} update - FOR UPDATE
+ * @property {string} noKeyUpdate - FOR NO KEY UPDATE
+ * @property {string} share - FOR SHARE
+ * @property {string} keyShare - FOR KEY SHARE
+ */
+const lockStrength = {
+  update: 'update',
+  noKeyUpdate: 'no key update',
+  share: 'share',
+  keyShare: 'key share',
+};
+
+/**
+ * @typedef {Object} nestedTransaction
+ * @memberOf SQL
+ *
+ * @property {string} savepoint - Isolate the nested transaction using a savepoint.
+ */
+const nestedTransaction = {
+  savepoint: 'savepoint',
+};
+
 /**
  * @typedef {Object} outputType
  * @memberOf SQL
@@ -110,20 +197,41 @@ const sort = {
   desc: 'desc',
 };
 
+/**
+ * @typedef {Object} textSearchMode
+ * @memberOf SQL
+ *
+ * @property {string} plain - Every word must match, punctuation is ignored (default).
+ * @property {string} phrase - Words must match in order.
+ * @property {string} raw - tsquery syntax, e.g. 'cat & !dog'.
+ * @property {string} websearch - Search engine syntax, "quoted phrases", or and -exclusions.
+ */
+const textSearchMode = {
+  plain: 'plain',
+  phrase: 'phrase',
+  raw: 'raw',
+  websearch: 'websearch',
+};
+
 /**
  * @typedef {Object} type
  * @memberOf SQL
  *
+ * @property {function(string): string} array - Array of an element type, e.g. array(type.text) is 'text[]'.
  * @property {string} bigint
  * @property {string} bigserial
  * @property {string} boolean
  * @property {string} bytea
  * @property {string} date
+ * @property {string} daterange
  * @property {string} double
+ * @property {string} int4range
+ * @property {string} int8range
  * @property {string} integer
  * @property {string} interval
  * @property {string} json
  * @property {string} jsonb
+ * @property {string} numrange
  * @property {string} real
  * @property {string} smallint
  * @property {string} smallserial
@@ -134,20 +242,26 @@ const sort = {
  * @property {string} timestamp
  * @property {string} timestamptz
  * @property {string} tsquery
+ * @property {string} tstzrange
  * @property {string} tsvector
  * @property {string} uuid
  */
 const type = {
+  array: (elementType) => `${elementType}[]`,
   bigint: 'bigint',
   bigserial: 'bigserial',
   boolean: 'boolean',
   bytea: 'bytea',
   date: 'date',
+  daterange: 'daterange',
   double: 'double',
+  int4range: 'int4range',
+  int8range: 'int8range',
   integer: 'integer',
   interval: 'interval',
   json: 'json',
   jsonb: 'jsonb',
+  numrange: 'numrange',
   real: 'real',
   smallint: 'smallint',
   smallserial: 'smallserial',
@@ -158,6 +272,7 @@ const type = {
   timestamp: 'timestamp',
   timestamptz: 'timestamptz',
   tsquery: 'tsquery',
+  tstzrange: 'tstzrange',
   tsvector: 'tsvector',
   uuid: 'uuid',
 };
@@ -177,12 +292,24 @@ const valueNotNull = Symbol('NOT NULL');
 const valueNow = Symbol('NOW()');
 
 module.exports = {
+  codeCheckViolation,
+  codeDeadlockDetected,
+  codeExclusionViolation,
+  codeForeignKeyViolation,
+  codeNotNullViolation,
+  codeSerializationFailure,
   codeStatementTimeout,
+  codeUniqueViolation,
   comparison,
   connective,
+  isolationLevel,
+  joinType,
+  lockStrength,
+  nestedTransaction,
   outputType,
   quoteIdentifier,
   sort,
+  textSearchMode,
   type,
   valueNotNull,
   valueNow,
@@ -121,6 +121,17 @@ class RecordTypeRequiredError extends Error {
   }
 }
 
+/**
+ * @typedef {Error} RelationNotFoundError
+ * @memberOf SQL
+ */
+class RelationNotFoundError extends Error {
+  constructor(relationName, recordName) {
+    super(`Relation ${relationName} does not exist on ${recordName}.`);
+    this.name = this.constructor.name;
+  }
+}
+
 /**
  * @typedef {Error} StatementTimeoutError
  * @memberOf SQL
@@ -187,6 +198,188 @@ class InvalidOptionCombinationError extends Error {
   }
 }
 
+/**
+ * @typedef {Error} StaleRecordError
+ * @memberOf SQL
+ *
+ * @property {Record.prototype.constructor} recordType
+ * @property {Object} primaryKeyValues
+ */
+class StaleRecordError extends Error {
+  constructor(recordType, primaryKeyValues = {}) {
+    super(`${recordType.name} was changed or removed since it was loaded.`);
+    this.name = this.constructor.name;
+    this.recordType = recordType;
+    this.primaryKeyValues = primaryKeyValues;
+  }
+}
+
+/**
+ * @typedef {Error} InvalidOptionValueError
+ * @memberOf SQL
+ */
+class InvalidOptionValueError extends Error {
+  constructor(message = 'Invalid option value.') {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * @typedef {Error} CursorSecretNotSetError
+ * @memberOf SQL
+ */
+class CursorSecretNotSetError extends Error {
+  constructor(message = 'SQL.cursorSecret must be set to paginate.') {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * @typedef {Error} InvalidCursorError
+ * @memberOf SQL
+ */
+class InvalidCursorError extends Error {
+  constructor(message = 'Invalid cursor.') {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * @typedef {Error} LockOutsideTransactionError
+ * @memberOf SQL
+ */
+class LockOutsideTransactionError extends Error {
+  constructor(message = 'Row locks are released as soon as they are taken outside of a transaction, use a conn with an open transaction.') {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * Base for errors translated from a Postgres integrity constraint violation.
+ *
+ * @typedef {Error} ConstraintViolationError
+ * @memberOf SQL
+ *
+ * @property {string} code - Postgres SQLSTATE.
+ * @property {string|null} constraint
+ * @property {string|null} schema
+ * @property {string|null} table
+ * @property {string|null} column - Only set when a single column is involved.
+ * @property {string[]} columns
+ * @property {string|null} field - Record field key for column, when the statement came from a Record or RecordQuery.
+ * @property {string[]} fields
+ * @property {Error} cause - The original DatabaseError.
+ */
+class ConstraintViolationError extends Error {
+  constructor(message, {
+    code = null,
+    constraint = null,
+    schema = null,
+    table = null,
+    columns = [],
+    fields = [],
+    cause = null,
+  } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.constraint = constraint;
+    this.schema = schema;
+    this.table = table;
+    this.column = columns.length === 1 ? columns[0] : null;
+    this.columns = columns;
+    this.field = fields.length === 1 ? fields[0] : null;
+    this.fields = fields;
+    this.cause = cause;
+  }
+}
+
+/**
+ * @typedef {ConstraintViolationError} CheckViolationError
+ * @memberOf SQL
+ */
+class CheckViolationError extends ConstraintViolationError {}
+
+/**
+ * e.g. overlapping ranges in a column with an EXCLUDE USING gist (during WITH &&) constraint.
+ *
+ * @typedef {ConstraintViolationError} ExclusionViolationError
+ * @memberOf SQL
+ */
+class ExclusionViolationError extends ConstraintViolationError {}
+
+/**
+ * @typedef {ConstraintViolationError} ForeignKeyViolationError
+ * @memberOf SQL
+ */
+class ForeignKeyViolationError extends ConstraintViolationError {}
+
+/**
+ * @typedef {ConstraintViolationError} NotNullViolationError
+ * @memberOf SQL
+ */
+class NotNullViolationError extends ConstraintViolationError {}
+
+/**
+ * @typedef {ConstraintViolationError} UniqueViolationError
+ * @memberOf SQL
+ */
+class UniqueViolationError extends ConstraintViolationError {}
+
+/**
+ * Base for errors translated from a Postgres transaction rollback, retrying the whole transaction may succeed.
+ *
+ * @typedef {Error} TransactionRollbackError
+ * @memberOf SQL
+ *
+ * @property {string} code - Postgres SQLSTATE.
+ * @property {Error} cause - The original DatabaseError.
+ */
+class TransactionRollbackError extends Error {
+  constructor(message, {code = null, cause = null} = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+/**
+ * @typedef {TransactionRollbackError} DeadlockDetectedError
+ * @memberOf SQL
+ */
+class DeadlockDetectedError extends TransactionRollbackError {}
+
+/**
+ * @typedef {TransactionRollbackError} SerializationFailureError
+ * @memberOf SQL
+ */
+class SerializationFailureError extends TransactionRollbackError {}
+
+/**
+ * @typedef {Error} ValidationError
+ * @memberOf SQL
+ *
+ * @property {Record.prototype.constructor} recordType
+ * @property {string[]} fields - Keys of every failing field.
+ * @property {Object<string, string[]>} errors - Messages by field key.
+ */
+class ValidationError extends Error {
+  constructor(recordType, errors = {}) {
+    const fields = Object.keys(errors);
+    const details = fields.map((key) => `${key} ${errors[key].join(', ')}`).join('; ');
+    super(`${recordType.name} failed validation: ${details}.`);
+    this.name = this.constructor.name;
+    this.recordType = recordType;
+    this.fields = fields;
+    this.errors = errors;
+  }
+}
+
 /**
  * @typedef {Error} WhereParserError
  * @memberOf SQL
@@ -201,20 +394,36 @@ class WhereParserError extends Error {
 module.exports = {
   AsyncIterationUnavailableError,
   AutoPrunedUnusablePoolConnectionError,
+  CheckViolationError,
+  ConstraintViolationError,
+  CursorSecretNotSetError,
+  DeadlockDetectedError,
+  ExclusionViolationError,
   FailedToFindUsablePoolConnectionError,
   FieldNotFoundError,
+  ForeignKeyViolationError,
   ImplicitNestedTransactionError,
   IncompatibleOutputSpecifiedError,
   IncorrectFieldsError,
+  InvalidCursorError,
   InvalidOptionCombinationError,
+  InvalidOptionValueError,
   InvalidOutputTypeError,
+  LockOutsideTransactionError,
   MissingRequiredArgError,
   NoPoolSetError,
+  NotNullViolationError,
   PrimaryKeyValueMissingError,
   QueryNotLoadedIterationError,
   RecordMissingPrimaryKeyError,
   RecordTypeRequiredError,
+  RelationNotFoundError,
+  SerializationFailureError,
+  StaleRecordError,
   StatementTimeoutError,
+  TransactionRollbackError,
   UnavailableInStreamModeError,
+  UniqueViolationError,
+  ValidationError,
   WhereParserError,
 };
@@ -0,0 +1,436 @@
+'use strict';
+const {textSearchMode, type} = require('./constants');
+const {InvalidOptionValueError, MissingRequiredArgError} = require('./errors');
+const {quoteLiteral} = require('./utils/sql');
+
+const tsqueryFunctions = {
+  [textSearchMode.plain]: 'plainto_tsquery',
+  [textSearchMode.phrase]: 'phraseto_tsquery',
+  [textSearchMode.raw]: 'to_tsquery',
+  [textSearchMode.websearch]: 'websearch_to_tsquery',
+};
+
+/**
+ * Expressions implement getExpressionSql(resolve, [bind]), which makes them usable as select() values and orderBy() keys.
+ * Wheres pass bind, for binding literal values rather than quoting them.
+ * Not named getSql(), where values implementing that are treated as sub-queries.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isExpression(value) {
+  return !!value && typeof value.getExpressionSql === 'function';
+}
+
+/**
+ * @typedef {Object} Aggregate
+ * @memberOf SQL
+ */
+class Aggregate extends Object {
+  name;
+  key;
+  distinct;
+  cast;
+
+  /**
+   * @param {string} name - SQL function name.
+   * @param {string|null} key - Field key to aggregate, null for *.
+   * @param {Object} [options]
+   * @param {boolean} [options.distinct=false]
+   * @param {string} [options.cast] - Type the result is cast to.
+   */
+  constructor(name, key, {distinct = false, cast = null} = {}) {
+    super();
+
+    this.name = name;
+    this.key = key;
+    this.distinct = distinct;
+    this.cast = cast;
+  }
+
+  /**
+   * @param {function(string): {fieldDefinition: Object|null, column: string}} resolve - Resolves a field key.
+   * @returns {string}
+   */
+  getExpressionSql(resolve) {
+    const argument = this.key === null ? '*' : resolve(this.key).column;
+    const expression = `${this.name}(${this.distinct ? 'DISTINCT ' : ''}${argument})`;
+
+    return this.cast ? `${expression}::${this.cast}` : expression;
+  }
+}
+
+/**
+ * Reference to a field, resolved to its column like field keys are, e.g. {updatedAt: SQL.greater(SQL.field('createdAt'))}.
+ *
+ * @typedef {Object} FieldReference
+ * @memberOf SQL
+ */
+class FieldReference extends Object {
+  key;
+
+  /**
+   * @param {string} key - Field key, dotted for joined fields.
+   */
+  constructor(key) {
+    super();
+
+    if (!key) {
+      throw new MissingRequiredArgError('A field key is required for a field reference.');
+    }
+
+    this.key = key;
+  }
+
+  getExpressionSql(resolve) {
+    return resolve(this.key).column;
+  }
+}
+
+/**
+ * SQL for a literal value, bound when there's a bind function, otherwise quoted.
+ * Select and order by expressions are quoted since having and order by can repeat them.
+ *
+ * @param {*} value
+ * @param {function(*): string|null} bind - Binds a value, returning its parameter SQL.
+ * @returns {string}
+ */
+function getLiteralSql(value, bind) {
+  if (value === null) {
+    return 'NULL';
+  }
+
+  const isNumber = typeof value === 'bigint' || (typeof value === 'number' && Number.isFinite(value));
+  const isDate = value instanceof Date && !isNaN(value);
+  if (!isNumber && !isDate && typeof value !== 'boolean' && typeof value !== 'string') {
+    throw new InvalidOptionValueError(`Invalid expression literal value: ${String(value)}`);
+  }
+
+  if (bind) {
+    return bind(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  if (isNumber) {
+    return String(value);
+  }
+
+  return quoteLiteral(isDate ? value.toISOString() : value);
+}
+
+/**
+ * Literal value for SQL.fn, e.g. SQL.fn.coalesce('nickname', SQL.literal('anonymous')).
+ *
+ * @typedef {Object} Literal
+ * @memberOf SQL
+ */
+class Literal extends Object {
+  value;
+  type;
+
+  /**
+   * @param {string|number|bigint|boolean|Date|null} value
+   * @param {string} [type] - Type to cast to, for where Postgres can't infer one, e.g. 'interval'.
+   */
+  constructor(value, type = null) {
+    super();
+
+    this.value = value;
+    this.type = type;
+  }
+
+  getExpressionSql(resolve, bind = null) {
+    const sql = getLiteralSql(this.value, bind);
+
+    return this.type ? `${sql}::${this.type}` : sql;
+  }
+}
+
+/**
+ * SQL for an operand of a scalar function or operator.
+ * Strings are field keys like they are for aggregates, other values are literals.
+ *
+ * @param {*} operand
+ * @param {function(string): {fieldDefinition: Object|null, column: string}} resolve
+ * @param {function(*): string|null} bind
+ * @returns {string}
+ */
+function getOperandSql(operand, resolve, bind) {
+  if (isExpression(operand)) {
+    return operand.getExpressionSql(resolve, bind);
+  }
+  if (typeof operand === 'string') {
+    return resolve(operand).column;
+  }
+
+  return getLiteralSql(operand, bind);
+}
+
+/**
+ * Scalar SQL function call, see SQL.fn.
+ *
+ * @typedef {Object} FunctionCall
+ * @memberOf SQL
+ */
+class FunctionCall extends Object {
+  name;
+  args;
+
+  /**
+   * @param {string} name - SQL function name.
+   * @param {Array} args - Expressions, field keys or literal values.
+   */
+  constructor(name, args) {
+    super();
+
+    this.name = name;
+    this.args = args;
+  }
+
+  getExpressionSql(resolve, bind = null) {
+    return `${this.name}(${this.args.map((arg) => getOperandSql(arg, resolve, bind)).join(', ')})`;
+  }
+}
+
+/**
+ * Binary arithmetic operation, see SQL.fn.
+ *
+ * @typedef {Object} Operation
+ * @memberOf SQL
+ */
+class Operation extends Object {
+  operator;
+  left;
+  right;
+
+  /**
+   * @param {string} operator
+   * @param {*} left - Expression, field key or literal value.
+   * @param {*} right - Expression, field key or literal value.
+   */
+  constructor(operator, left, right) {
+    super();
+
+    this.operator = operator;
+    this.left = left;
+    this.right = right;
+  }
+
+  getExpressionSql(resolve, bind = null) {
+    return `(${getOperandSql(this.left, resolve, bind)} ${this.operator} ${getOperandSql(this.right, resolve, bind)})`;
+  }
+}
+
+function getKeyedAggregate(name) {
+  return (key, {distinct = false} = {}) => {
+    if (!key) {
+      throw new MissingRequiredArgError(`A field key is required for the ${name} aggregate.`);
+    }
+
+    return new Aggregate(name, key, {distinct});
+  };
+}
+
+/**
+ * Aggregate functions for RecordQuery.select() and having(), each takes a field key and an optional {distinct}.
+ * Also scalar functions and arithmetic, usable in wheres on either side of a comparison, selects and orderBy().
+ * Their arguments are field keys or expressions, SQL.literal() strings and other values are literals.
+ *
+ * @memberOf SQL
+ */
+const fn = {
+  /**
+   * @param {string} [key] - Counts rows when omitted, non-null values of the field otherwise.
+   * @param {Object} [options]
+   * @param {boolean} [options.distinct=false]
+   * @returns {Aggregate} An integer, like RecordQuery.count().
+   */
+  count: (key = null, {distinct = false} = {}) => new Aggregate('count', key, {distinct, cast: 'int'}),
+  sum: getKeyedAggregate('sum'),
+  avg: getKeyedAggregate('avg'),
+  min: getKeyedAggregate('min'),
+  max: getKeyedAggregate('max'),
+  arrayAgg: getKeyedAggregate('array_agg'),
+  boolOr: getKeyedAggregate('bool_or'),
+
+  lower: (value) => new FunctionCall('lower', [value]),
+  upper: (value) => new FunctionCall('upper', [value]),
+  /**
+   * @param {...*} values - The first non-null value.
+   * @returns {FunctionCall}
+   */
+  coalesce: (...values) => new FunctionCall('coalesce', values),
+  /**
+   * @param {string} unit - e.g. 'day' or 'month'.
+   * @param {*} value - Timestamp or interval.
+   * @returns {FunctionCall}
+   */
+  dateTrunc: (unit, value) => new FunctionCall('date_trunc', [new Literal(unit), value]),
+
+  add: (left, right) => new Operation('+', left, right),
+  subtract: (left, right) => new Operation('-', left, right),
+  multiply: (left, right) => new Operation('*', left, right),
+  divide: (left, right) => new Operation('/', left, right),
+};
+
+/**
+ * Full text search where value, matching a tsvector field, or any other field converted with to_tsvector().
+ *
+ * @typedef {Object} TextSearch
+ * @memberOf SQL
+ */
+class TextSearch extends Object {
+  query;
+  config;
+  mode;
+
+  /**
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {string} [options.config] - Text search configuration, e.g. 'english', defaults to the db's default_text_search_config.
+   * @param {textSearchMode} [options.mode=plain]
+   */
+  constructor(query, {config = null, mode = textSearchMode.plain} = {}) {
+    super();
+
+    if (!tsqueryFunctions[mode]) {
+      throw new InvalidOptionValueError(`Invalid text search mode value: ${mode}`);
+    }
+
+    this.query = query;
+    this.config = config;
+    this.mode = mode;
+  }
+
+  /**
+   * Bound tsquery for wheres.
+   *
+   * @param {number} bindParamsUsed
+   * @returns {{configSql: string|null, tsquerySql: string, values: Array}}
+   */
+  getTsqueryPack(bindParamsUsed) {
+    const configSql = this.config !== null ? `$${bindParamsUsed + 1}` : null;
+    const querySql = `$${bindParamsUsed + (configSql ? 2 : 1)}`;
+
+    return {
+      configSql,
+      tsquerySql: this.getTsquerySql(configSql, querySql),
+      values: configSql ? [this.config, this.query] : [this.query],
+    };
+  }
+
+  /**
+   * Quoted rather than bound, for select() and orderBy() expressions since those can be repeated by having and order by.
+   *
+   * @returns {{configSql: string|null, tsquerySql: string}}
+   */
+  getTsqueryLiteralPack() {
+    const configSql = this.config !== null ? `${quoteLiteral(this.config)}::regconfig` : null;
+
+    return {configSql, tsquerySql: this.getTsquerySql(configSql, quoteLiteral(this.query))};
+  }
+
+  getTsquerySql(configSql, querySql) {
+    return `${tsqueryFunctions[this.mode]}(${[configSql, querySql].filter(Boolean).join(', ')})`;
+  }
+}
+
+/**
+ * tsvector SQL for a field, converting it unless it is already a tsvector.
+ *
+ * @param {{fieldDefinition: Object|null, column: string}} resolved
+ * @param {string|null} configSql
+ * @returns {string}
+ */
+function getTsvectorSql({fieldDefinition, column}, configSql) {
+  if (fieldDefinition && fieldDefinition.type === type.tsvector) {
+    return column;
+  }
+
+  return `to_tsvector(${[configSql, column].filter(Boolean).join(', ')})`;
+}
+
+function getTextSearch(queryOrTextSearch) {
+  return queryOrTextSearch instanceof TextSearch ? queryOrTextSearch : new TextSearch(queryOrTextSearch);
+}
+
+/**
+ * ts_rank() of a field for a search, higher is more relevant.
+ *
+ * @typedef {Object} Rank
+ * @memberOf SQL
+ */
+class Rank extends Object {
+  key;
+  textSearch;
+
+  /**
+   * @param {string} key
+   * @param {TextSearch|string} queryOrTextSearch - Strings are searched in plain mode.
+   */
+  constructor(key, queryOrTextSearch) {
+    super();
+
+    this.key = key;
+    this.textSearch = getTextSearch(queryOrTextSearch);
+  }
+
+  getExpressionSql(resolve) {
+    const {configSql, tsquerySql} = this.textSearch.getTsqueryLiteralPack();
+
+    return `ts_rank(${getTsvectorSql(resolve(this.key), configSql)}, ${tsquerySql})`;
+  }
+}
+
+/**
+ * ts_headline() snippet of a text field with search matches highlighted.
+ *
+ * @typedef {Object} Headline
+ * @memberOf SQL
+ */
+class Headline extends Object {
+  key;
+  textSearch;
+  options;
+
+  /**
+   * @param {string} key
+   * @param {TextSearch|string} queryOrTextSearch - Strings are searched in plain mode.
+   * @param {Object} [options] - ts_headline options with camel case names, e.g. {maxWords: 20, startSel: '<mark>'}.
+   */
+  constructor(key, queryOrTextSearch, options = {}) {
+    super();
+
+    this.key = key;
+    this.textSearch = getTextSearch(queryOrTextSearch);
+    this.options = options;
+  }
+
+  getExpressionSql(resolve) {
+    const {configSql, tsquerySql} = this.textSearch.getTsqueryLiteralPack();
+
+    const optionStrings = Object.entries(this.options).map(([name, value]) => {
+      const optionName = name[0].toUpperCase() + name.slice(1);
+
+      return `${optionName}="${String(value).replaceAll('"', '""')}"`;
+    });
+    const optionsSql = optionStrings.length ? quoteLiteral(optionStrings.join(', ')) : null;
+
+    return `ts_headline(${[configSql, resolve(this.key).column, tsquerySql, optionsSql].filter(Boolean).join(', ')})`;
+  }
+}
+
+module.exports = {
+  Aggregate,
+  FieldReference,
+  FunctionCall,
+  Headline,
+  Literal,
+  Operation,
+  Rank,
+  TextSearch,
+  fn,
+  getTsvectorSql,
+  isExpression,
+};
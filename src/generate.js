@@ -35,6 +35,16 @@ ORDER BY ordinal_position
 `;
 
 const regexNumeric = /^[0-9.]+$/;
+
+// Array element types come from udt_name, which uses internal names.
+const udtTypes = {
+  bool: 'boolean',
+  float4: 'real',
+  float8: 'double',
+  int2: 'smallint',
+  int4: 'integer',
+  int8: 'bigint',
+};
 const regexReplaceTextWrapper = /^'(.*)'::text$/;
 
 function wrapString(value) {
@@ -58,6 +68,7 @@ function wrapString(value) {
  *
  * @param {pg.Client|pg.Pool} [connOrPool]
  * @param {string} tableName
+ * @param {string} [schemaName=public] - Emitted as the record's schema unless public.
  * @throws MissingRequiredArgError
  * @return {GenerateRecordResponse}
  */
@@ -88,6 +99,12 @@ async function generateRecord(...args) {
       type = row.udt_name;
     }
 
+    let elementType = null;
+    if (type === 'ARRAY') {
+      elementType = row.udt_name.slice(1); // Array udt names are the element's with a leading underscore.
+      elementType = udtTypes[elementType] || elementType;
+    }
+
     const nullable = row.is_nullable === 'YES';
 
     let defaultValue = null;
@@ -98,6 +115,8 @@ async function generateRecord(...args) {
       const isNumeric = regexNumeric.test(defaultString);
       if (isNumeric) {
         defaultValue = parseFloat(defaultString);
+      } else if (defaultString === 'true' || defaultString === 'false') {
+        defaultValue = defaultString === 'true';
       } else {
         defaultValue = row.column_default.replace(regexReplaceTextWrapper, '$1');
       }
@@ -108,6 +127,7 @@ async function generateRecord(...args) {
       key,
       name,
       type,
+      elementType,
       nullable,
       defaultValue,
       isPrimaryKey: row.is_primary_key,
@@ -130,11 +150,14 @@ async function generateRecord(...args) {
   const fields = {};
   const primaryKeyFields = [];
   for (const column of columns) {
-    const {key, name, type, nullable, defaultValue, isPrimaryKey} = column;
+    const {key, name, type, elementType, nullable, defaultValue, isPrimaryKey} = column;
 
     const field = {
       type: `SQL.type.${type}`,
     };
+    if (elementType) {
+      field.type = Object.hasOwn(this.type, elementType) ? `SQL.type.array(SQL.type.${elementType})` : wrapString(`${elementType}[]`);
+    }
 
     if ((name !== key && name !== toSnake(key)) || (name === key && name.toLowerCase() !== name)) {
       field.name = name;
@@ -142,7 +165,8 @@ async function generateRecord(...args) {
     if (!nullable) {
       field.nullable = false;
     }
-    if (defaultValue) {
+    // Falsy defaults like 0 and false still need emitting, or validation treats the field as required.
+    if (defaultValue !== null) {
       field.defaultValue = defaultValue;
     }
 
@@ -168,7 +192,7 @@ async function generateRecord(...args) {
     if (field.nullable !== undefined && !field.nullable) {
       fieldsString += `, nullable: ${field.nullable}`;
     }
-    if (field.defaultValue) {
+    if (field.defaultValue !== undefined) {
       let output;
       const lowerDefaultString = String(field.defaultValue).toLowerCase();
       if (
@@ -189,7 +213,9 @@ async function generateRecord(...args) {
 
   const content = `class ${className} extends SQL.Record {
   static fields = ${fieldsString};
-  static primaryKeyFields = [${primaryKeyFields.map((s) => wrapString(s)).join(', ')}];
+  static primaryKeyFields = [${primaryKeyFields.map((s) => wrapString(s)).join(', ')}];${
+  schemaName !== 'public' ? `\n  static schema = ${wrapString(schemaName)};` : ''
+}
   static table = ${wrapString(tableName)};
 }`;
 
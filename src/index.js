@@ -1,31 +1,180 @@
 'use strict';
-const {codeStatementTimeout, comparison, connective, outputType, sort, type, valueNotNull, valueNow} = require('./constants');
+const {
+  codeDeadlockDetected,
+  codeSerializationFailure,
+  codeStatementTimeout,
+  comparison,
+  connective,
+  isolationLevel: isolationLevels,
+  joinType,
+  lockStrength,
+  nestedTransaction,
+  outputType,
+  sort,
+  textSearchMode,
+  type,
+  valueNotNull,
+  valueNow,
+} = require('./constants');
 const errors = require('./errors');
+const {FieldReference, Headline, Literal, Rank, TextSearch, fn} = require('./expressions');
 const {generateRecord} = require('./generate');
 const {runMigrations} = require('./migrations');
 const Record = require('./Record');
 const RecordTransform = require('./RecordTransform');
 const RecordQuery = require('./RecordQuery');
+const {belongsTo, belongsToMany, hasMany, hasOne} = require('./relations');
 const Value = require('./SqlValue');
 const {ConnectedWheres, And, Or} = require('./wheres');
+const {getAmbientConnection, runWithAmbientConnection} = require('./utils/ambient');
 const {quoteIdentifier, quoteLiteral} = require('./utils/sql');
+const {hasOpenTransaction} = require('./utils/transaction');
 const {DatabaseError} = require('pg-protocol');
 
 const {
   AutoPrunedUnusablePoolConnectionError,
   FailedToFindUsablePoolConnectionError,
   ImplicitNestedTransactionError,
+  InvalidOptionCombinationError,
+  InvalidOptionValueError,
   MissingRequiredArgError,
   NoPoolSetError,
   StatementTimeoutError,
 } = errors;
 
-async function hasOpenTransaction(conn) {
-  const txResponse = await conn.query({
-    text: 'SELECT now() != statement_timestamp()',
-    rowMode: 'array',
-  });
-  return txResponse.rows.length && txResponse.rows[0][0];
+const savepointDepths = new WeakMap();
+
+const validIsolationLevels = new Set(Object.values(isolationLevels));
+
+function getBeginSql({isolationLevel = null, readOnly = false, deferrable = false} = {}) {
+  if (isolationLevel !== null && !validIsolationLevels.has(isolationLevel)) {
+    throw new InvalidOptionValueError(`Invalid isolationLevel value: ${isolationLevel}`);
+  }
+  if (deferrable && !(isolationLevel === isolationLevels.serializable && readOnly)) {
+    throw new InvalidOptionCombinationError('The deferrable option requires a serializable isolationLevel and readOnly.');
+  }
+
+  const parts = ['BEGIN'];
+  if (isolationLevel) {
+    parts.push('ISOLATION LEVEL ' + isolationLevel.toUpperCase());
+  }
+  if (readOnly) {
+    parts.push('READ ONLY');
+  }
+  if (deferrable) {
+    parts.push('DEFERRABLE');
+  }
+
+  return parts.join(' ');
+}
+
+function getRetryOptions(retry) {
+  const {
+    attempts = 3,
+    backoffMs = 50,
+    on = [codeSerializationFailure, codeDeadlockDetected],
+    onRetry = null,
+  } = retry ?? {attempts: 1};
+
+  if (!Number.isInteger(attempts) || attempts < 1) {
+    throw new InvalidOptionValueError(`Invalid retry attempts value: ${attempts}`);
+  }
+  if (typeof backoffMs !== 'number' || backoffMs < 0) {
+    throw new InvalidOptionValueError(`Invalid retry backoffMs value: ${backoffMs}`);
+  }
+  if (!Array.isArray(on)) {
+    throw new InvalidOptionValueError('Invalid retry on value, expected an array of error codes.');
+  }
+
+  return {attempts, backoffMs, on, onRetry};
+}
+
+function getBackoffDelay(backoffMs, attempt) {
+  const delayMs = backoffMs * 2 ** (attempt - 1);
+  // Jitter the upper half so that transactions which conflicted with each other don't collide again in lockstep.
+  return Math.round(delayMs / 2 + Math.random() * delayMs / 2);
+}
+
+function runConnectedCallback(callback, conn, useAmbientConnection) {
+  if (useAmbientConnection) {
+    return runWithAmbientConnection(conn, () => callback(conn));
+  }
+
+  return callback(conn);
+}
+
+async function runTransactionAttempt(callback, {conn, pool, allowNested, nested, beginSql, hasRetry, useAmbientConnection, autoDestroyConn}) {
+  let existingTransaction = null;
+
+  let defaultedConn = conn;
+  if (!defaultedConn) {
+    defaultedConn = await getUsablePoolConnection(pool);
+    existingTransaction = false;
+  }
+
+  let hadDbError = false;
+  let savepoint = null;
+
+  try {
+    if (existingTransaction === null) {
+      existingTransaction = await hasOpenTransaction(defaultedConn);
+    }
+
+    if (existingTransaction) {
+      if (beginSql !== 'BEGIN') {
+        throw new InvalidOptionCombinationError('Transaction modes can only be set when starting a transaction, not when nesting.');
+      }
+      if (hasRetry) {
+        throw new InvalidOptionCombinationError('Retry can only be used when starting a transaction, not when nesting.');
+      }
+
+      if (nested === nestedTransaction.savepoint) {
+        const depth = (savepointDepths.get(defaultedConn) ?? 0) + 1;
+        savepointDepths.set(defaultedConn, depth);
+        savepoint = `sp_${depth}`;
+
+        await defaultedConn.query(`SAVEPOINT ${savepoint}`);
+      } else if (!allowNested) {
+        throw new ImplicitNestedTransactionError();
+      }
+    } else {
+      await defaultedConn.query(beginSql);
+    }
+
+    const result = await runConnectedCallback(callback, defaultedConn, useAmbientConnection);
+
+    if (savepoint) {
+      await defaultedConn.query(`RELEASE SAVEPOINT ${savepoint}`);
+    } else if (!existingTransaction) {
+      await defaultedConn.query('COMMIT');
+    }
+
+    return result;
+  } catch (err) {
+    if (err instanceof DatabaseError || err?.cause instanceof DatabaseError) {
+      hadDbError = true;
+    }
+
+    if (savepoint) {
+      await defaultedConn.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      await defaultedConn.query(`RELEASE SAVEPOINT ${savepoint}`);
+    } else if (!existingTransaction) {
+      await defaultedConn.query('ROLLBACK');
+    }
+
+    throw err;
+    // https://github.com/bcoe/c8/issues/229
+    /* c8 ignore next 1 */
+  } finally {
+    if (savepoint) {
+      savepointDepths.set(defaultedConn, savepointDepths.get(defaultedConn) - 1);
+    }
+
+    if (!conn || autoDestroyConn) {
+      // If we had a db error on a connection we created, destroy it rather than risk polluting the pool.
+      defaultedConn.release(hadDbError || autoDestroyConn ? true : undefined);
+    }
+  }
 }
 
 async function getUsablePoolConnection(pool) {
@@ -73,14 +222,21 @@ async function getUsablePoolConnection(pool) {
 const SQL = {
   comparison,
   connective,
+  isolationLevel: isolationLevels,
+  joinType,
+  lockStrength,
+  nestedTransaction,
   outputType,
   sort,
+  textSearchMode,
   type,
 
   Value,
   valueNotNull,
   valueNow,
 
+  fn,
+
   ConnectedWheres,
   Record,
   RecordQuery,
@@ -89,10 +245,37 @@ const SQL = {
   quoteIdentifier,
   quoteLiteral,
 
+  belongsTo,
+  belongsToMany,
+  hasMany,
+  hasOne,
+
   ...errors,
 
   debug: false,
 
+  /**
+   * When enabled connected() and transaction() make their connection ambient for the duration of their callback,
+   * anything inside that isn't explicitly passed a conn or pool will use it rather than checking one out from the default pool.
+   *
+   * @type {boolean}
+   */
+  useAmbientConnection: false,
+
+  /**
+   * Secret used to sign RecordQuery.paginate() cursors, required to paginate.
+   *
+   * @type {string|Buffer|null}
+   */
+  cursorSecret: null,
+
+  /**
+   * Schema for tables of Records without their own static schema, null leaves it to the connection's search_path.
+   *
+   * @type {string|null}
+   */
+  defaultSchema: null,
+
   pools: {
     ['default']: null,
   },
@@ -138,11 +321,13 @@ const SQL = {
       throw new MissingRequiredArgError('A callback is required for connected().');
     }
 
-    const defaultedPool = pool || this.getDefaultPool();
-    const finalConn = conn || await getUsablePoolConnection(defaultedPool);
+    const givenConn = conn || (pool ? null : getAmbientConnection());
+
+    const defaultedPool = givenConn ? null : (pool || this.getDefaultPool());
+    const finalConn = givenConn || await getUsablePoolConnection(defaultedPool);
 
     try {
-      return await callback(finalConn);
+      return await runConnectedCallback(callback, finalConn, this.useAmbientConnection);
     } catch (err) {
       const isStatementTimeout = err.code === codeStatementTimeout;
       if (isStatementTimeout) {
@@ -153,7 +338,7 @@ const SQL = {
       // https://github.com/bcoe/c8/issues/229
       /* c8 ignore next 1 */
     } finally {
-      if (!conn) {
+      if (!givenConn) {
         finalConn.release(autoDestroyConn ? true : undefined);
       }
     }
@@ -166,67 +351,75 @@ const SQL = {
    * @param {Object} [options]
    * @param {pg.Client} [options.conn]
    * @param {pg.Pool} [options.pool]
-   * @param {boolean} [options.allowNested=false]
+   * @param {boolean} [options.allowNested=false] - Run within an already open transaction, without any isolation from it.
+   * @param {nestedTransaction} [options.nested] - Run within an already open transaction using a savepoint, on error only the savepoint is rolled back.
+   * @param {isolationLevel} [options.isolationLevel] - Defaults to the server's default_transaction_isolation.
+   * @param {boolean} [options.readOnly=false]
+   * @param {boolean} [options.deferrable=false] - Requires a serializable isolationLevel and readOnly.
+   * @param {Object} [options.retry] - Re-run the whole transaction when it fails with one of the given error codes.
+   * @param {number} [options.retry.attempts=3] - Total attempts, including the first.
+   * @param {number} [options.retry.backoffMs=50] - Base delay, doubled after each attempt and jittered.
+   * @param {string[]} [options.retry.on=['40001', '40P01']] - Serialization failure and deadlock detected by default.
+   * @param {function} [options.retry.onRetry] - Called with (err, {attempt, delayMs}) before each retry.
    * @param {boolean} [options.autoDestroyConn=false]
    * @returns {Promise<*>}
    */
-  async transaction(callback, {conn = null, pool = null, allowNested = false, autoDestroyConn = false} = {}) {
+  async transaction(callback, {
+    conn = null,
+    pool = null,
+    allowNested = false,
+    nested = null,
+    isolationLevel = null,
+    readOnly = false,
+    deferrable = false,
+    retry = null,
+    autoDestroyConn = false,
+  } = {}) {
     if (!callback) {
       throw new MissingRequiredArgError('A callback is required for transaction().');
     }
-
-    let existingTransaction = null;
-
-    let defaultedConn = conn;
-    if (!defaultedConn) {
-      const defaultedPool = pool || this.getDefaultPool();
-      defaultedConn = await getUsablePoolConnection(defaultedPool);
-      existingTransaction = false;
+    if (nested !== null && !nestedTransaction[nested]) {
+      throw new InvalidOptionValueError(`Invalid nested value: ${nested}`);
+    }
+    const beginSql = getBeginSql({isolationLevel, readOnly, deferrable});
+    const {attempts, backoffMs, on, onRetry} = getRetryOptions(retry);
+    if (retry !== null && conn && autoDestroyConn) {
+      throw new InvalidOptionCombinationError('Retry can\'t be combined with autoDestroyConn on a passed conn, it would be destroyed by the first attempt.');
     }
 
-    let hadDbError = false;
-
-    try {
-      if (existingTransaction === null) {
-        existingTransaction = await hasOpenTransaction(defaultedConn);
-      }
-
-      if (existingTransaction) {
-        if (!allowNested) {
-          throw new ImplicitNestedTransactionError();
+    const ambientConn = conn || pool ? null : getAmbientConnection();
+    const givenConn = conn || ambientConn;
+    const defaultedPool = givenConn ? null : (pool || this.getDefaultPool());
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await runTransactionAttempt(callback, {
+          conn: givenConn,
+          pool: defaultedPool,
+          allowNested,
+          nested,
+          beginSql,
+          hasRetry: retry !== null,
+          useAmbientConnection: this.useAmbientConnection,
+          // The ambient connection belongs to an outer connected() or transaction().
+          autoDestroyConn: autoDestroyConn && !ambientConn,
+        });
+      } catch (err) {
+        if (attempt < attempts && on.includes(err.code)) {
+          const delayMs = getBackoffDelay(backoffMs, attempt);
+          if (onRetry) {
+            await onRetry(err, {attempt, delayMs});
+          }
+          await new Promise(resolve => setTimeout(resolve, delayMs));
+          continue;
         }
-      } else {
-        await defaultedConn.query('BEGIN');
-      }
 
-      const result = await callback(defaultedConn);
-
-      if (!existingTransaction) {
-        await defaultedConn.query('COMMIT');
-      }
-
-      return result;
-    } catch (err) {
-      if (err instanceof DatabaseError) {
-        hadDbError = true;
-      }
-
-      const isStatementTimeout = err.code === codeStatementTimeout;
-      if (isStatementTimeout) {
-        throw new StatementTimeoutError();
-      }
-
-      if (!existingTransaction) {
-        await defaultedConn.query('ROLLBACK');
-      }
+        const isStatementTimeout = err.code === codeStatementTimeout;
+        if (isStatementTimeout) {
+          throw new StatementTimeoutError();
+        }
 
-      throw err;
-      // https://github.com/bcoe/c8/issues/229
-      /* c8 ignore next 1 */
-    } finally {
-      if (!conn || autoDestroyConn) {
-        // If we had a db error on a connection we created, destroy it rather than risk polluting the pool.
-        defaultedConn.release(hadDbError || autoDestroyConn ? true : undefined);
+        throw err;
       }
     }
   },
@@ -269,6 +462,78 @@ const SQL = {
   or(...wheres) {
     return new Or(wheres);
   },
+
+  /**
+   * Key for a value within a json or jsonb field, usable in wheres, orderBy() and select().
+   * Wheres compare it as text, other than the JSON comparisons, integer path parts index into arrays.
+   *
+   * @param {string} key - Field key.
+   * @param {...(string|number)} path
+   * @returns {string} e.g. 'settings->theme'
+   */
+  jsonPath(key, ...path) {
+    return [key, ...path].join('->');
+  },
+
+  /**
+   * Reference a field, mapped to its column like field keys, for comparing fields or as an SQL.fn argument.
+   * e.g. {updatedAt: SQL.greater(SQL.field('createdAt'))}
+   *
+   * @param {string} key - Field key, dotted for joined fields.
+   * @returns {FieldReference}
+   */
+  field(key) {
+    return new FieldReference(key);
+  },
+
+  /**
+   * Literal value for SQL.fn arguments, where plain strings are field keys.
+   * Bound in wheres and quoted elsewhere, the type casts it when Postgres can't infer one.
+   * e.g. SQL.fn.add(SQL.field('createdAt'), SQL.literal('1 day', 'interval'))
+   *
+   * @param {string|number|bigint|boolean|Date|null} value
+   * @param {string|null} [type] - e.g. 'interval', 'numeric'
+   * @returns {Literal}
+   */
+  literal(value, type = null) {
+    return new Literal(value, type);
+  },
+
+  /**
+   * Full text search where value, e.g. {body: SQL.textSearch('cats -dogs', {mode: SQL.textSearchMode.websearch})}.
+   *
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {string} [options.config] - Text search configuration, e.g. 'english', defaults to the db's default_text_search_config.
+   * @param {textSearchMode} [options.mode=plain]
+   * @returns {TextSearch}
+   */
+  textSearch(query, options = {}) {
+    return new TextSearch(query, options);
+  },
+
+  /**
+   * Search relevance expression for select() or orderBy(), see also RecordQuery.orderByRank().
+   *
+   * @param {string} key
+   * @param {TextSearch|string} queryOrTextSearch
+   * @returns {Rank}
+   */
+  rank(key, queryOrTextSearch) {
+    return new Rank(key, queryOrTextSearch);
+  },
+
+  /**
+   * Snippet expression for select(), with search matches highlighted.
+   *
+   * @param {string} key - Text field.
+   * @param {TextSearch|string} queryOrTextSearch
+   * @param {Object} [options] - ts_headline options with camel case names, e.g. {maxWords: 20, startSel: '<mark>'}.
+   * @returns {Headline}
+   */
+  headline(key, queryOrTextSearch, options = {}) {
+    return new Headline(key, queryOrTextSearch, options);
+  },
 };
 
 // Provides top level comparison functions for easy use like: {name: SQL.ilike('%doug%')}
@@ -278,4 +543,15 @@ for (const [compKey, compValue] of Object.entries(comparison)) {
   };
 }
 
+/**
+ * Inclusive of both values, e.g. {createdAt: SQL.between(start, end)}.
+ *
+ * @param {*} lower
+ * @param {*} upper
+ * @returns {Value}
+ */
+SQL.between = function (lower, upper) {
+  return new Value([lower, upper], {comparison: comparison.between, bind: true});
+};
+
 module.exports = SQL;
@@ -0,0 +1,552 @@
+'use strict';
+const {comparison} = require('./constants');
+const {
+  IncorrectFieldsError,
+  InvalidOptionValueError,
+  MissingRequiredArgError,
+  PrimaryKeyValueMissingError,
+} = require('./errors');
+const SqlValue = require('./SqlValue');
+const {parseArgs} = require('./utils/args');
+const {translatedQuery} = require('./utils/errors');
+const {getFieldDbName} = require('./utils/misc');
+const {getTableSql, quoteIdentifier} = require('./utils/sql');
+
+function getSinglePrimaryKeyField(recordType) {
+  if (recordType.primaryKeyFields.length !== 1) {
+    throw new IncorrectFieldsError(`${recordType.name} doesn't have a single primary key field to relate by.`);
+  }
+
+  return recordType.primaryKeyFields[0];
+}
+
+function resolveRecordType(recordTypeOrThunk) {
+  // Required here, Record depends on RecordQuery which depends on us.
+  const isRecordType = recordTypeOrThunk.prototype instanceof require('./Record');
+
+  return isRecordType ? recordTypeOrThunk : recordTypeOrThunk();
+}
+
+/**
+ * Base for relations declared in a Record's static relations.
+ *
+ * Subclasses implement getKeys(sourceType) returning the {sourceKey, targetKey} fields which match source records to related records.
+ */
+class Relation {
+  /**
+   * @param {Record.prototype.constructor|function} recordType - Related Record class, or a function returning it for circular references.
+   * @param {Object} options
+   * @param {string|Array} [options.orderBy] - Order of related records, defaults to their primary key.
+   */
+  constructor(recordType, {orderBy = null}) {
+    if (!recordType) {
+      throw new MissingRequiredArgError('A record type is required for relations.');
+    }
+
+    this.recordTypeOrThunk = recordType;
+    this.orderBy = orderBy;
+  }
+
+  /**
+   * Related Record class.
+   *
+   * @type {Record.prototype.constructor}
+   */
+  get recordType() {
+    return resolveRecordType(this.recordTypeOrThunk);
+  }
+
+  /**
+   * Whether the relation resolves to an array of records rather than a single record or null.
+   *
+   * @type {boolean}
+   */
+  get isMany() {
+    return false;
+  }
+
+  /**
+   * Load related records for many source records at once, one query no matter how many source records.
+   *
+   * @param {Array<Record>} records - Source records, all of the same type.
+   * @param {pg.Client|pg.Pool} [connOrPool]
+   * @returns {Promise<Array>} Related values in the same order as records.
+   */
+  async loadFor(records, connOrPool = null) {
+    if (!records.length) {
+      return [];
+    }
+
+    const targetType = this.recordType;
+    const {sourceKey, targetKey} = this.getKeys(records[0].recordType);
+
+    const keyValues = new Set();
+    for (const record of records) {
+      const keyValue = record.get(sourceKey);
+      if (keyValue !== null && keyValue !== undefined) {
+        keyValues.add(keyValue);
+      }
+    }
+
+    const targetsByKey = new Map();
+    if (keyValues.size) {
+      const findArgs = connOrPool ? [connOrPool] : [];
+      // One array parameter rather than an IN list, which would need a bind parameter per key.
+      const targets = await targetType.find(...findArgs, {[targetKey]: new SqlValue(keyValues, {comparison: comparison.any, bind: true})}, {
+        orderBy: this.orderBy || targetType.primaryKeyFields,
+      });
+
+      for (const target of targets) {
+        const keyValue = target.get(targetKey);
+        if (!targetsByKey.has(keyValue)) {
+          targetsByKey.set(keyValue, []);
+        }
+        targetsByKey.get(keyValue).push(target);
+      }
+    }
+
+    return records.map((record) => {
+      const matches = targetsByKey.get(record.get(sourceKey)) || [];
+
+      return this.isMany ? matches : (matches[0] || null);
+    });
+  }
+}
+
+/**
+ * The source record holds the foreign key.
+ */
+class BelongsTo extends Relation {
+  /**
+   * @param {Record.prototype.constructor|function} recordType
+   * @param {Object} options
+   * @param {string} options.foreignKey - Field on the source record.
+   * @param {string} [options.targetKey] - Field on the related record, defaults to its primary key.
+   */
+  constructor(recordType, {foreignKey = null, targetKey = null, ...options} = {}) {
+    super(recordType, options);
+
+    if (!foreignKey) {
+      throw new MissingRequiredArgError('A foreignKey is required for belongsTo relations.');
+    }
+
+    this.foreignKey = foreignKey;
+    this.targetKey = targetKey;
+  }
+
+  getKeys() {
+    return {
+      sourceKey: this.foreignKey,
+      targetKey: this.targetKey || getSinglePrimaryKeyField(this.recordType),
+    };
+  }
+}
+
+/**
+ * The related records hold the foreign key.
+ */
+class HasMany extends Relation {
+  /**
+   * @param {Record.prototype.constructor|function} recordType
+   * @param {Object} options
+   * @param {string} options.foreignKey - Field on the related records.
+   * @param {string} [options.sourceKey] - Field on the source record, defaults to its primary key.
+   * @param {string|Array} [options.orderBy]
+   */
+  constructor(recordType, {foreignKey = null, sourceKey = null, ...options} = {}) {
+    super(recordType, options);
+
+    if (!foreignKey) {
+      throw new MissingRequiredArgError('A foreignKey is required for hasMany and hasOne relations.');
+    }
+
+    this.foreignKey = foreignKey;
+    this.sourceKey = sourceKey;
+  }
+
+  get isMany() {
+    return true;
+  }
+
+  getKeys(sourceType) {
+    return {
+      sourceKey: this.sourceKey || getSinglePrimaryKeyField(sourceType),
+      targetKey: this.foreignKey,
+    };
+  }
+}
+
+/**
+ * The related record holds the foreign key, only the first by orderBy is used if there are several.
+ */
+class HasOne extends HasMany {
+  get isMany() {
+    return false;
+  }
+}
+
+/**
+ * Source and related records are linked by rows in a join table, both by their primary key.
+ */
+class BelongsToMany extends Relation {
+  /**
+   * @param {Record.prototype.constructor|function} recordType
+   * @param {Object} options
+   * @param {string|Record.prototype.constructor|function} options.through - Join table name or Record.
+   * @param {string} options.sourceKey - Join table key referencing the source record, a column name or a through Record field.
+   * @param {string} options.targetKey - Join table key referencing the related record, a column name or a through Record field.
+   * @param {string|Array} [options.orderBy]
+   */
+  constructor(recordType, {through = null, sourceKey = null, targetKey = null, ...options} = {}) {
+    super(recordType, options);
+
+    if (!through || !sourceKey || !targetKey) {
+      throw new MissingRequiredArgError('A through, sourceKey and targetKey are required for belongsToMany relations.');
+    }
+
+    this.throughOrThunk = through;
+    this.sourceKey = sourceKey;
+    this.targetKey = targetKey;
+  }
+
+  get isMany() {
+    return true;
+  }
+
+  /**
+   * Join table Record class, null when through is a table name.
+   *
+   * @type {Record.prototype.constructor|null}
+   */
+  get throughType() {
+    return typeof this.throughOrThunk === 'string' ? null : resolveRecordType(this.throughOrThunk);
+  }
+
+  getThroughSql() {
+    const throughType = this.throughType;
+    const getColumn = (key) => quoteIdentifier(throughType ? getFieldDbName(throughType.fields, key) : key);
+
+    return {
+      table: getTableSql(throughType || this.throughOrThunk),
+      sourceColumn: getColumn(this.sourceKey),
+      targetColumn: getColumn(this.targetKey),
+    };
+  }
+
+  getSourceValue(record) {
+    const value = record.get(getSinglePrimaryKeyField(record.recordType));
+    if (value === null || value === undefined) {
+      throw new PrimaryKeyValueMissingError(record.recordType.name);
+    }
+
+    return value;
+  }
+
+  getTargetValues(targets) {
+    const targetType = this.recordType;
+    const targetPrimaryKey = getSinglePrimaryKeyField(targetType);
+
+    const values = new Set();
+    for (const target of targets) {
+      values.add(target instanceof targetType ? target.get(targetPrimaryKey) : target);
+    }
+
+    return Array.from(values);
+  }
+
+  async loadFor(records, connOrPool = null) {
+    if (!records.length) {
+      return [];
+    }
+
+    const targetType = this.recordType;
+    const targetPrimaryKey = getSinglePrimaryKeyField(targetType);
+    const sourcePrimaryKey = getSinglePrimaryKeyField(records[0].recordType);
+
+    const sourceValues = new Set();
+    for (const record of records) {
+      const sourceValue = record.get(sourcePrimaryKey);
+      if (sourceValue !== null && sourceValue !== undefined) {
+        sourceValues.add(sourceValue);
+      }
+    }
+
+    if (!sourceValues.size) {
+      return records.map(() => []);
+    }
+
+    const {table, sourceColumn, targetColumn} = this.getThroughSql();
+    const {conn, pool} = parseArgs([connOrPool]);
+    const targetValuesBySource = new Map();
+    const targets = await require('./index').connected(async (joinConn) => {
+      const dbResponse = await translatedQuery(joinConn, {
+        text: `SELECT ${sourceColumn}, ${targetColumn} FROM ${table} WHERE ${sourceColumn} = ANY($1)`,
+        values: [Array.from(sourceValues)],
+        rowMode: 'array',
+      }, this.throughType);
+
+      const targetValues = new Set();
+      for (const [sourceValue, targetValue] of dbResponse.rows) {
+        if (!targetValuesBySource.has(sourceValue)) {
+          targetValuesBySource.set(sourceValue, new Set());
+        }
+        targetValuesBySource.get(sourceValue).add(targetValue);
+        targetValues.add(targetValue);
+      }
+
+      if (!targetValues.size) {
+        return [];
+      }
+
+      return targetType.find(joinConn, {[targetPrimaryKey]: new SqlValue(targetValues, {comparison: comparison.any, bind: true})}, {
+        orderBy: this.orderBy || targetType.primaryKeyFields,
+      });
+    }, {conn, pool});
+
+    return records.map((record) => {
+      const linkedValues = targetValuesBySource.get(record.get(sourcePrimaryKey));
+
+      return linkedValues ? targets.filter((target) => linkedValues.has(target.get(targetPrimaryKey))) : [];
+    });
+  }
+
+  /**
+   * Link related records to a source record, already linked ones are skipped.
+   * Relies on a unique constraint across the join table's sourceKey and targetKey.
+   *
+   * @param {pg.Client} conn
+   * @param {Record} record
+   * @param {Array<Record|*>} targets - Related records or their primary key values.
+   * @returns {Promise<number>} Links added.
+   */
+  async attach(conn, record, targets) {
+    const sourceValue = this.getSourceValue(record);
+    const targetValues = this.getTargetValues(targets);
+    if (!targetValues.length) {
+      return 0;
+    }
+
+    const {table, sourceColumn, targetColumn} = this.getThroughSql();
+    const valuesStrings = targetValues.map((targetValue, index) => `($1, $${index + 2})`);
+    const dbResponse = await translatedQuery(conn, {
+      text: `INSERT INTO ${table} (${sourceColumn}, ${targetColumn}) VALUES ${valuesStrings.join(', ')} ON CONFLICT DO NOTHING`,
+      values: [sourceValue, ...targetValues],
+    }, this.throughType);
+
+    return dbResponse.rowCount;
+  }
+
+  /**
+   * Unlink related records from a source record.
+   *
+   * @param {pg.Client} conn
+   * @param {Record} record
+   * @param {Array<Record|*>|null} [targets] - Related records or their primary key values, all when null.
+   * @returns {Promise<number>} Links removed.
+   */
+  async detach(conn, record, targets = null) {
+    const {table, sourceColumn, targetColumn} = this.getThroughSql();
+
+    let deleteQuery = `DELETE FROM ${table} WHERE ${sourceColumn} = $1`;
+    const deleteValues = [this.getSourceValue(record)];
+    if (targets !== null) {
+      deleteQuery += ` AND ${targetColumn} = ANY($2)`;
+      deleteValues.push(this.getTargetValues(targets));
+    }
+
+    const dbResponse = await translatedQuery(conn, {text: deleteQuery, values: deleteValues}, this.throughType);
+
+    return dbResponse.rowCount;
+  }
+
+  /**
+   * Link exactly the given related records to a source record, unlinking any others.
+   * Should be run within a transaction.
+   *
+   * @param {pg.Client} conn
+   * @param {Record} record
+   * @param {Array<Record|*>} targets - Related records or their primary key values.
+   * @returns {Promise<{attached: number, detached: number}>}
+   */
+  async sync(conn, record, targets) {
+    const {table, sourceColumn, targetColumn} = this.getThroughSql();
+
+    const dbResponse = await translatedQuery(conn, {
+      text: `DELETE FROM ${table} WHERE ${sourceColumn} = $1 AND NOT (${targetColumn} = ANY($2))`,
+      values: [this.getSourceValue(record), this.getTargetValues(targets)],
+    }, this.throughType);
+    const attached = await this.attach(conn, record, targets);
+
+    return {attached, detached: dbResponse.rowCount};
+  }
+}
+
+/**
+ * Declare a relation where this record holds the foreign key.
+ *
+ * @memberOf SQL
+ * @param {Record.prototype.constructor|function} recordType
+ * @param {Object} options
+ * @param {string} options.foreignKey
+ * @param {string} [options.targetKey]
+ * @returns {BelongsTo}
+ */
+function belongsTo(recordType, options) {
+  return new BelongsTo(recordType, options);
+}
+
+/**
+ * Declare a relation where many related records hold the foreign key.
+ *
+ * @memberOf SQL
+ * @param {Record.prototype.constructor|function} recordType
+ * @param {Object} options
+ * @param {string} options.foreignKey
+ * @param {string} [options.sourceKey]
+ * @param {string|Array} [options.orderBy]
+ * @returns {HasMany}
+ */
+function hasMany(recordType, options) {
+  return new HasMany(recordType, options);
+}
+
+/**
+ * Declare a relation where a single related record holds the foreign key.
+ *
+ * @memberOf SQL
+ * @param {Record.prototype.constructor|function} recordType
+ * @param {Object} options
+ * @param {string} options.foreignKey
+ * @param {string} [options.sourceKey]
+ * @param {string|Array} [options.orderBy]
+ * @returns {HasOne}
+ */
+function hasOne(recordType, options) {
+  return new HasOne(recordType, options);
+}
+
+/**
+ * Declare a relation where records are linked through a join table.
+ *
+ * @memberOf SQL
+ * @param {Record.prototype.constructor|function} recordType
+ * @param {Object} options
+ * @param {string|Record.prototype.constructor|function} options.through
+ * @param {string} options.sourceKey
+ * @param {string} options.targetKey
+ * @param {string|Array} [options.orderBy]
+ * @returns {BelongsToMany}
+ */
+function belongsToMany(recordType, options) {
+  return new BelongsToMany(recordType, options);
+}
+
+function addIncludePath(recordType, [name, ...rest], tree) {
+  const node = addIncludeNode(tree, name, recordType.getRelation(name));
+  if (rest.length) {
+    addIncludePath(node.relation.recordType, rest, node.includes);
+  }
+}
+
+function addIncludeNode(tree, name, relation) {
+  if (!tree[name]) {
+    tree[name] = {relation, includes: {}}; // eslint-disable-line no-param-reassign
+  }
+
+  return tree[name];
+}
+
+/**
+ * Resolve includes into a tree of relations.
+ *
+ * Includes can be declared relation names, dotted for nesting ('posts.comments'), arrays of those or an object.
+ * Object values can be true, a relation, or a config with an optional nested include.
+ * Configs with a recordType and foreignKey create an undeclared relation, belongsTo when the foreignKey is one of the
+ * including record's fields, otherwise hasMany.
+ *
+ * @param {Record.prototype.constructor} recordType
+ * @param {string|Array|Object} include
+ * @param {Object} [tree] - Existing tree to add to.
+ * @throws RelationNotFoundError
+ * @throws InvalidOptionValueError
+ * @returns {Object<string, {relation: Relation, includes: Object}>}
+ */
+function getIncludeTree(recordType, include, tree = {}) {
+  if (typeof include === 'string') {
+    addIncludePath(recordType, include.split('.'), tree);
+  } else if (Array.isArray(include)) {
+    for (const subInclude of include) {
+      getIncludeTree(recordType, subInclude, tree);
+    }
+  } else if (include && typeof include === 'object') {
+    for (const [name, config] of Object.entries(include)) {
+      if (config instanceof Relation) {
+        addIncludeNode(tree, name, config);
+        continue;
+      }
+
+      const {recordType: targetType = null, include: subInclude = null, ...relationOptions} = config === true ? {} : config;
+      let relation;
+      if (targetType) {
+        const isBelongsTo = !!recordType.fields[relationOptions.foreignKey];
+        relation = isBelongsTo ? new BelongsTo(targetType, relationOptions) : new HasMany(targetType, relationOptions);
+      } else {
+        relation = recordType.getRelation(name);
+      }
+
+      const node = addIncludeNode(tree, name, relation);
+      if (subInclude) {
+        getIncludeTree(relation.recordType, subInclude, node.includes);
+      }
+    }
+  } else {
+    throw new InvalidOptionValueError(`Invalid include value: ${include}`);
+  }
+
+  return tree;
+}
+
+/**
+ * Load an include tree onto records, one query per relation at each level.
+ *
+ * @param {Array<Record>} records
+ * @param {Object} includeTree - From getIncludeTree().
+ * @param {pg.Client|pg.Pool} [connOrPool]
+ * @returns {Promise<void>}
+ */
+async function loadIncludes(records, includeTree, connOrPool = null) {
+  for (const [name, {relation, includes}] of Object.entries(includeTree)) {
+    const relatedValues = await relation.loadFor(records, connOrPool);
+
+    const relatedRecords = new Set();
+    for (const [index, record] of records.entries()) {
+      const relatedValue = relatedValues[index];
+      record.relatedValues[name] = relatedValue;
+
+      for (const relatedRecord of relation.isMany ? relatedValue : [relatedValue]) {
+        if (relatedRecord) {
+          relatedRecords.add(relatedRecord);
+        }
+      }
+    }
+
+    if (relatedRecords.size && Object.keys(includes).length) {
+      await loadIncludes(Array.from(relatedRecords), includes, connOrPool);
+    }
+  }
+}
+
+module.exports = {
+  BelongsTo,
+  BelongsToMany,
+  HasMany,
+  HasOne,
+  Relation,
+  belongsTo,
+  belongsToMany,
+  getIncludeTree,
+  getSinglePrimaryKeyField,
+  hasMany,
+  hasOne,
+  loadIncludes,
+};
@@ -0,0 +1,30 @@
+'use strict';
+const {AsyncLocalStorage} = require('async_hooks');
+
+const ambientConnectionStorage = new AsyncLocalStorage();
+
+function getAmbientConnection() {
+  return ambientConnectionStorage.getStore()?.conn || null;
+}
+
+/**
+ * Run a callback with conn as the ambient connection.
+ * The store is a holder cleared once the callback settles, async work outliving it can't pick up a released conn.
+ *
+ * @param {pg.Client} conn
+ * @param {function} callback
+ * @returns {Promise<*>}
+ */
+async function runWithAmbientConnection(conn, callback) {
+  const holder = {conn};
+  try {
+    return await ambientConnectionStorage.run(holder, callback);
+  } finally {
+    holder.conn = null;
+  }
+}
+
+module.exports = {
+  getAmbientConnection,
+  runWithAmbientConnection,
+};
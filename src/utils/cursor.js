@@ -0,0 +1,55 @@
+'use strict';
+const {InvalidCursorError} = require('../errors');
+const {Buffer} = require('buffer');
+const {createHmac, timingSafeEqual} = require('crypto');
+
+function getSignature(secret, payload) {
+  return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Encode a pagination cursor, signed so clients can't forge or alter one.
+ *
+ * @param {string|Buffer} secret
+ * @param {string} order - Identifies the ordering the values belong to.
+ * @param {Array<string|null>} values
+ * @returns {string}
+ */
+function encodeCursor(secret, order, values) {
+  const payload = Buffer.from(JSON.stringify([order, values])).toString('base64url');
+
+  return `${payload}.${getSignature(secret, payload)}`;
+}
+
+/**
+ * Decode and verify a cursor from encodeCursor().
+ *
+ * @param {string|Buffer} secret
+ * @param {string} order - Must match the order the cursor was encoded with.
+ * @param {string} cursor
+ * @returns {Array<string|null>} Values.
+ */
+function decodeCursor(secret, order, cursor) {
+  const [payload, signature, ...rest] = typeof cursor === 'string' ? cursor.split('.') : [];
+  if (!payload || !signature || rest.length) {
+    throw new InvalidCursorError();
+  }
+
+  const expected = Buffer.from(getSignature(secret, payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new InvalidCursorError('Invalid cursor signature.');
+  }
+
+  const [cursorOrder, values] = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  if (cursorOrder !== order) {
+    throw new InvalidCursorError('Cursor is for a different order.');
+  }
+
+  return values;
+}
+
+module.exports = {
+  decodeCursor,
+  encodeCursor,
+};
@@ -0,0 +1,111 @@
+'use strict';
+const {
+  codeCheckViolation,
+  codeDeadlockDetected,
+  codeExclusionViolation,
+  codeForeignKeyViolation,
+  codeNotNullViolation,
+  codeSerializationFailure,
+  codeUniqueViolation,
+} = require('../constants');
+const {
+  CheckViolationError,
+  DeadlockDetectedError,
+  ExclusionViolationError,
+  ForeignKeyViolationError,
+  NotNullViolationError,
+  SerializationFailureError,
+  UniqueViolationError,
+} = require('../errors');
+const {getFieldDbName} = require('./misc');
+const {getTableParts} = require('./sql');
+const {DatabaseError} = require('pg-protocol');
+
+const constraintViolationErrors = {
+  [codeCheckViolation]: CheckViolationError,
+  [codeExclusionViolation]: ExclusionViolationError,
+  [codeForeignKeyViolation]: ForeignKeyViolationError,
+  [codeNotNullViolation]: NotNullViolationError,
+  [codeUniqueViolation]: UniqueViolationError,
+};
+
+const transactionRollbackErrors = {
+  [codeDeadlockDetected]: DeadlockDetectedError,
+  [codeSerializationFailure]: SerializationFailureError,
+};
+
+function getDetailColumns(detail) {
+  // Key (a, b)=(1, 2) already exists.
+  const match = /^Key \((.+?)\)=/.exec(detail || '');
+  // A referencing delete reports the referenced table's key against the referencing table, not useful.
+  if (!match || detail.includes('is still referenced from table')) {
+    return [];
+  }
+
+  return match[1].split(', ').map((column) => column.replace(/^"(.*)"$/, '$1'));
+}
+
+function getColumnFields(recordType, columns) {
+  const fieldKeys = Object.keys(recordType.fields);
+
+  return columns
+    .map((column) => fieldKeys.find((key) => getFieldDbName(recordType.fields, key) === column))
+    .filter(Boolean);
+}
+
+/**
+ * Translate a node-pg DatabaseError into one of our typed errors, anything else is returned unchanged.
+ *
+ * @param {Error} err
+ * @param {Record.prototype.constructor} [recordType] - Used to map columns back to field keys.
+ * @returns {Error}
+ */
+function translateDatabaseError(err, recordType = null) {
+  if (!(err instanceof DatabaseError)) {
+    return err;
+  }
+
+  const TransactionRollbackErrorType = transactionRollbackErrors[err.code];
+  if (TransactionRollbackErrorType) {
+    return new TransactionRollbackErrorType(err.message, {code: err.code, cause: err});
+  }
+
+  const ConstraintViolationErrorType = constraintViolationErrors[err.code];
+  if (!ConstraintViolationErrorType) {
+    return err;
+  }
+
+  const columns = err.column ? [err.column] : getDetailColumns(err.detail);
+  const fields = recordType && err.table === getTableParts(recordType).table ? getColumnFields(recordType, columns) : [];
+
+  return new ConstraintViolationErrorType(err.message, {
+    code: err.code,
+    constraint: err.constraint,
+    schema: err.schema,
+    table: err.table,
+    columns,
+    fields,
+    cause: err,
+  });
+}
+
+/**
+ * Run a query, translating any database error.
+ *
+ * @param {pg.Client} conn
+ * @param {Object} queryConfig - node-pg query config.
+ * @param {Record.prototype.constructor} [recordType]
+ * @returns {Promise<pg.Result>}
+ */
+async function translatedQuery(conn, queryConfig, recordType = null) {
+  try {
+    return await conn.query(queryConfig);
+  } catch (err) {
+    throw translateDatabaseError(err, recordType);
+  }
+}
+
+module.exports = {
+  translateDatabaseError,
+  translatedQuery,
+};
@@ -0,0 +1,59 @@
+'use strict';
+const {lockStrength} = require('../constants');
+const {InvalidOptionCombinationError, InvalidOptionValueError, LockOutsideTransactionError} = require('../errors');
+const {getTableParts, quoteIdentifier} = require('./sql');
+const {hasOpenTransaction} = require('./transaction');
+
+const validLockStrengths = new Set(Object.values(lockStrength));
+
+/**
+ * Validate and fill in defaults for a lock option.
+ *
+ * @param {lockStrength|Object} lock - A strength, or {strength, skipLocked, noWait, of}.
+ * @returns {{strength: lockStrength, skipLocked: boolean, noWait: boolean, of: Array}}
+ */
+function normalizeLock(lock) {
+  const {strength = null, skipLocked = false, noWait = false, of = []} = typeof lock === 'string' ? {strength: lock} : lock;
+
+  if (!validLockStrengths.has(strength)) {
+    throw new InvalidOptionValueError(`Invalid lock strength value: ${strength}`);
+  }
+  if (skipLocked && noWait) {
+    throw new InvalidOptionCombinationError('A lock can use skipLocked or noWait, not both.');
+  }
+
+  return {strength, skipLocked, noWait, of};
+}
+
+/**
+ * @param {Object} lock - From normalizeLock().
+ * @returns {string} e.g. FOR UPDATE OF "jobs" SKIP LOCKED
+ */
+function getLockSql({strength, skipLocked, noWait, of}) {
+  // Record classes lock by their unqualified table, strings are table names or join aliases.
+  const ofNames = of.map((tableOrRecordType) => quoteIdentifier(typeof tableOrRecordType === 'string' ? tableOrRecordType : getTableParts(tableOrRecordType).table));
+
+  return [
+    'FOR',
+    strength.toUpperCase(),
+    ofNames.length ? 'OF ' + ofNames.join(', ') : null,
+    skipLocked ? 'SKIP LOCKED' : null,
+    noWait ? 'NOWAIT' : null,
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * @param {pg.Client} conn
+ * @throws {LockOutsideTransactionError}
+ */
+async function assertLockInTransaction(conn) {
+  if (!await hasOpenTransaction(conn)) {
+    throw new LockOutsideTransactionError();
+  }
+}
+
+module.exports = {
+  assertLockInTransaction,
+  getLockSql,
+  normalizeLock,
+};
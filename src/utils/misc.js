@@ -1,17 +1,26 @@
 'use strict';
 const {toSnake} = require('./case');
-const {sort} = require('../constants');
+const {formatRange, isRangeType} = require('./range');
+const {quoteIdentifier} = require('./sql');
+const {sort, valueNow} = require('../constants');
+const SqlValue = require('../SqlValue');
 
-function formatOrderBy(fieldDefinitions, orderBy) {
-  let key = orderBy;
+function formatOrderBy(column, orderBy) {
   let sortOrder = sort.asc;
-  if (Array.isArray(key)) {
-    key = orderBy[0];
-    if (orderBy.length > 1) {
-      sortOrder = String(orderBy[1]).toUpperCase();
-    }
+  if (Array.isArray(orderBy) && orderBy.length > 1) {
+    sortOrder = String(orderBy[1]).toUpperCase();
   }
-  return getFieldDbName(fieldDefinitions, key) + ' ' + sortOrder;
+  return column + ' ' + sortOrder;
+}
+
+/**
+ * Is a field type an array type, like type.array(type.text) or 'text[]'.
+ *
+ * @param {string} fieldType
+ * @returns {boolean}
+ */
+function isArrayType(fieldType) {
+  return typeof fieldType === 'string' && fieldType.endsWith('[]');
 }
 
 function getFieldDbName(fieldDefinitions, key) {
@@ -25,7 +34,46 @@ function getFieldDbName(fieldDefinitions, key) {
   return toSnake(key);
 }
 
+function getSqlFields(fieldDefinitions, fields, {bindParamsUsed = 0} = {}) {
+  const result = {};
+
+  let bindParamNum = bindParamsUsed;
+  for (const [key, value] of Object.entries(fields)) {
+    let string;
+    let bind = true;
+    let bindValue;
+    if (typeof value === 'symbol') {
+      string = valueNow.description;
+      bind = false;
+    } else if (value instanceof SqlValue) {
+      if (value.bind) {
+        string = '$' + ++bindParamNum;
+        bindValue = value.getValue();
+      } else {
+        string = value.getValue();
+        bind = false;
+      }
+    } else {
+      const fieldConfig = fieldDefinitions[key];
+
+      string = '$' + ++bindParamNum;
+      bindValue = value !== null && fieldConfig && isRangeType(fieldConfig.type) ? formatRange(value) : value;
+    }
+
+    result[key] = {
+      name: quoteIdentifier(getFieldDbName(fieldDefinitions, key)),
+      string,
+      bind,
+      bindValue,
+    };
+  }
+
+  return result;
+}
+
 module.exports = {
   formatOrderBy,
   getFieldDbName,
+  getSqlFields,
+  isArrayType,
 };
@@ -0,0 +1,165 @@
+'use strict';
+const {type} = require('../constants');
+
+const RANGE_ELEMENT_TYPES = {
+  [type.daterange]: type.date,
+  [type.int4range]: type.integer,
+  [type.int8range]: type.bigint,
+  [type.numrange]: 'numeric',
+  [type.tstzrange]: type.timestamptz,
+};
+
+// Ranges of other field types, for comparing a field to a range with containedBy.
+const ELEMENT_RANGE_TYPES = {
+  [type.bigint]: type.int8range,
+  [type.bigserial]: type.int8range,
+  [type.date]: type.daterange,
+  [type.double]: type.numrange,
+  [type.integer]: type.int4range,
+  [type.real]: type.numrange,
+  [type.serial]: type.int4range,
+  [type.smallint]: type.int4range,
+  [type.smallserial]: type.int4range,
+  [type.timestamptz]: type.tstzrange,
+  numeric: type.numrange,
+};
+
+const EMPTY = 'empty';
+
+const regexRange = /^([[(])("(?:[^"\\]|\\.|"")*"|[^,]*),("(?:[^"\\]|\\.|"")*"|[^,]*)([\])])$/;
+const regexRangeString = /^\s*([[(]|empty\s*$)/i;
+const regexQuotedEscape = /\\(.)|""/g;
+
+/**
+ * @typedef {Object} Range
+ * @memberOf SQL
+ *
+ * @property {*} lower - Null when unbounded.
+ * @property {*} upper - Null when unbounded.
+ * @property {boolean} lowerInclusive
+ * @property {boolean} upperInclusive
+ * @property {boolean} [empty] - Only set on empty ranges.
+ */
+
+/**
+ * @param {string} fieldType
+ * @returns {boolean}
+ */
+function isRangeType(fieldType) {
+  return Object.hasOwn(RANGE_ELEMENT_TYPES, fieldType);
+}
+
+/**
+ * @param {string} rangeType
+ * @returns {string}
+ */
+function getRangeElementType(rangeType) {
+  return RANGE_ELEMENT_TYPES[rangeType];
+}
+
+/**
+ * @param {string} fieldType
+ * @returns {string|null} Range type with elements of fieldType.
+ */
+function getElementRangeType(fieldType) {
+  return ELEMENT_RANGE_TYPES[fieldType] ?? null;
+}
+
+/**
+ * Is a value a whole range rather than an element, either a Range object or a range literal like '[1,5)'.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isRangeValue(value) {
+  if (typeof value === 'string') {
+    return regexRangeString.test(value);
+  }
+
+  return !!value && typeof value === 'object' && !(value instanceof Date) && ('lower' in value || 'upper' in value || value.empty === true);
+}
+
+function parseBound(boundString, rangeType) {
+  if (boundString === '') {
+    return null;
+  }
+
+  const unquoted = boundString[0] === '"' ? boundString.slice(1, -1).replace(regexQuotedEscape, (match, escaped) => escaped ?? '"') : boundString;
+  switch (rangeType) {
+    case type.int4range:
+      return parseInt(unquoted, 10);
+    case type.tstzrange:
+      if (unquoted === 'infinity' || unquoted === '-infinity') {
+        return unquoted === 'infinity' ? Infinity : -Infinity;
+      }
+
+      return new Date(unquoted);
+  }
+
+  // int8range and numrange stay strings like bigint and numeric values from node-pg, dateranges stay 'YYYY-MM-DD'.
+  return unquoted;
+}
+
+/**
+ * Parse a range from its Postgres text output.
+ *
+ * @param {string|null} rangeString - e.g. '["2024-01-01 10:00:00+00","2024-01-01 11:00:00+00")'
+ * @param {string} rangeType
+ * @returns {Range|null}
+ */
+function parseRange(rangeString, rangeType) {
+  if (rangeString === null || rangeString === undefined) {
+    return null;
+  }
+  if (rangeString === EMPTY) {
+    return {lower: null, upper: null, lowerInclusive: false, upperInclusive: false, empty: true};
+  }
+
+  const [, lowerBracket, lowerString, upperString, upperBracket] = regexRange.exec(rangeString);
+
+  return {
+    lower: parseBound(lowerString, rangeType),
+    upper: parseBound(upperString, rangeType),
+    lowerInclusive: lowerBracket === '[',
+    upperInclusive: upperBracket === ']',
+  };
+}
+
+function formatBound(bound) {
+  if (bound === null || bound === undefined) {
+    return '';
+  }
+
+  const boundString = bound instanceof Date ? bound.toISOString() : String(bound);
+
+  return `"${boundString.replaceAll('\\', '\\\\').replaceAll('"', '\\"')}"`;
+}
+
+/**
+ * Format a range for binding, strings are passed through as range literals.
+ * Inclusivity defaults to Postgres' canonical [), including the lower bound but not the upper.
+ *
+ * @param {Range|string} range
+ * @returns {string}
+ */
+function formatRange(range) {
+  if (typeof range === 'string') {
+    return range;
+  }
+  if (range.empty) {
+    return EMPTY;
+  }
+
+  const {lower = null, upper = null, lowerInclusive = true, upperInclusive = false} = range;
+
+  return `${lowerInclusive ? '[' : '('}${formatBound(lower)},${formatBound(upper)}${upperInclusive ? ']' : ')'}`;
+}
+
+module.exports = {
+  formatRange,
+  getElementRangeType,
+  getRangeElementType,
+  isRangeType,
+  isRangeValue,
+  parseRange,
+};
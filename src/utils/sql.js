@@ -10,7 +10,44 @@ function quoteLiteral(literal) {
   return pgFormat.literal(literal);
 }
 
+/**
+ * Split a Record's table, or a table name, into schema and table.
+ * Schema comes from a "schema.table" name, then the Record's static schema, then SQL.defaultSchema.
+ *
+ * @param {Record.prototype.constructor|string} recordTypeOrTable
+ * @returns {{schema: string|null, table: string}}
+ */
+function getTableParts(recordTypeOrTable) {
+  const isName = typeof recordTypeOrTable === 'string';
+  const name = isName ? recordTypeOrTable : recordTypeOrTable.table;
+
+  const dotIndex = name.indexOf('.');
+  if (dotIndex !== -1) {
+    return {schema: name.slice(0, dotIndex), table: name.slice(dotIndex + 1)};
+  }
+
+  // Required here, index depends on everything.
+  const schema = (!isName && recordTypeOrTable.schema) || require('../index').defaultSchema || null;
+
+  return {schema, table: name};
+}
+
+/**
+ * Quoted and, if there is a schema, qualified table for use in FROM, INTO and similar.
+ * Columns are qualified by the unqualified table, which is all Postgres exposes.
+ *
+ * @param {Record.prototype.constructor|string} recordTypeOrTable
+ * @returns {string}
+ */
+function getTableSql(recordTypeOrTable) {
+  const {schema, table} = getTableParts(recordTypeOrTable);
+
+  return schema ? `${quoteIdentifier(schema)}.${quoteIdentifier(table)}` : quoteIdentifier(table);
+}
+
 module.exports = {
+  getTableParts,
+  getTableSql,
   quoteIdentifier,
   quoteLiteral,
 };
@@ -0,0 +1,13 @@
+'use strict';
+
+async function hasOpenTransaction(conn) {
+  const txResponse = await conn.query({
+    text: 'SELECT now() != statement_timestamp()',
+    rowMode: 'array',
+  });
+  return txResponse.rows.length && txResponse.rows[0][0];
+}
+
+module.exports = {
+  hasOpenTransaction,
+};
@@ -0,0 +1,166 @@
+'use strict';
+const {Buffer} = require('buffer');
+const {type} = require('../constants');
+const {isArrayType} = require('./misc');
+const {isRangeValue} = require('./range');
+const SqlValue = require('../SqlValue');
+
+const SERIAL_TYPES = new Set([type.serial, type.bigserial, type.smallserial]);
+
+// [min, max]
+const INTEGER_RANGES = {
+  [type.smallint]: [-32768, 32767],
+  [type.smallserial]: [-32768, 32767],
+  [type.integer]: [-2147483648, 2147483647],
+  [type.serial]: [-2147483648, 2147483647],
+};
+
+const regexInteger = /^-?\d+$/;
+const regexNumeric = /^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const regexUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isString = (value) => typeof value === 'string';
+
+function isInteger(value) {
+  return Number.isInteger(value) || typeof value === 'bigint' || (isString(value) && regexInteger.test(value));
+}
+
+// Types without a check accept anything, json can hold any value and custom types are up to the db.
+const typeChecks = {
+  [type.bigint]: isInteger,
+  [type.bigserial]: isInteger,
+  [type.boolean]: (value) => typeof value === 'boolean',
+  [type.bytea]: (value) => Buffer.isBuffer(value) || isString(value),
+  [type.date]: (value) => (value instanceof Date && !isNaN(value)) || isString(value),
+  [type.daterange]: isRangeValue,
+  [type.double]: (value) => typeof value === 'number' || (isString(value) && regexNumeric.test(value)),
+  [type.int4range]: isRangeValue,
+  [type.int8range]: isRangeValue,
+  [type.integer]: isInteger,
+  [type.interval]: (value) => isString(value) || typeof value === 'object',
+  [type.numrange]: isRangeValue,
+  [type.real]: (value) => typeof value === 'number' || (isString(value) && regexNumeric.test(value)),
+  [type.smallint]: isInteger,
+  [type.smallserial]: isInteger,
+  [type.serial]: isInteger,
+  [type.text]: isString,
+  [type.time]: isString,
+  [type.timetz]: isString,
+  [type.timestamp]: (value) => (value instanceof Date && !isNaN(value)) || isString(value) || typeof value === 'number',
+  [type.timestamptz]: (value) => (value instanceof Date && !isNaN(value)) || isString(value) || typeof value === 'number',
+  [type.tsquery]: isString,
+  [type.tstzrange]: isRangeValue,
+  [type.tsvector]: isString,
+  [type.uuid]: (value) => isString(value) && regexUuid.test(value),
+};
+
+function getArrayCheck(arrayType) {
+  const elementCheck = typeChecks[arrayType.slice(0, -2)];
+
+  return (value) => Array.isArray(value) && (!elementCheck || value.every((element) => element === null || elementCheck(element)));
+}
+
+/**
+ * Is a value written as SQL rather than bound, e.g. valueNow.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isSqlValue(value) {
+  return typeof value === 'symbol' || value instanceof SqlValue;
+}
+
+/**
+ * Does a missing value need to be provided before insert.
+ * Primary keys are left to the db, they can be identity columns or filled by triggers without a visible default.
+ *
+ * @param {Object} fieldDefinition
+ * @param {boolean} isPrimaryKey
+ * @returns {boolean}
+ */
+function isRequiredOnInsert(fieldDefinition, isPrimaryKey) {
+  const hasDefault = fieldDefinition.defaultValue !== undefined && fieldDefinition.defaultValue !== null;
+
+  return fieldDefinition.nullable === false && !hasDefault && !isPrimaryKey && !SERIAL_TYPES.has(fieldDefinition.type);
+}
+
+/**
+ * Check a value against its field definition's type and constraints.
+ *
+ * @param {Object} fieldDefinition
+ * @param {*} value - Not null, not SQL.
+ * @returns {Array<string>} Messages for failed checks.
+ */
+function getValueErrors(fieldDefinition, value) {
+  const isArray = isArrayType(fieldDefinition.type);
+  const typeCheck = isArray ? getArrayCheck(fieldDefinition.type) : typeChecks[fieldDefinition.type];
+  if (typeCheck && !typeCheck(value)) {
+    return [`is not a valid ${fieldDefinition.type}`];
+  }
+
+  const errors = [];
+
+  const integerRange = INTEGER_RANGES[fieldDefinition.type];
+  if (integerRange && (Number(value) < integerRange[0] || Number(value) > integerRange[1])) {
+    errors.push(`is out of range for ${fieldDefinition.type}`);
+  }
+
+  const {maxLength, min, max, pattern} = fieldDefinition;
+  if (maxLength !== undefined && (isString(value) || Array.isArray(value)) && value.length > maxLength) {
+    errors.push(`is longer than ${maxLength}`);
+  }
+  if (min !== undefined && value < min) {
+    errors.push(`is less than ${min}`);
+  }
+  if (max !== undefined && value > max) {
+    errors.push(`is greater than ${max}`);
+  }
+  if (pattern && !(isString(value) && pattern.test(value))) {
+    errors.push(`does not match ${pattern}`);
+  }
+  // Array fields check each element against the enum.
+  if (fieldDefinition.enum && !(isArray ? value : [value]).every((element) => fieldDefinition.enum.includes(element))) {
+    errors.push(`is not one of ${fieldDefinition.enum.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a field's value.
+ *
+ * @param {Object} fieldDefinition
+ * @param {*} value
+ * @param {Record} record - Passed to the definition's validate function.
+ * @param {boolean} isInsert - Missing values of required fields are only an error for inserts.
+ * @param {boolean} [isPrimaryKey=false]
+ * @returns {Promise<Array<string>>} Messages for failed checks.
+ */
+async function getFieldErrors(fieldDefinition, value, record, isInsert, isPrimaryKey = false) {
+  if (isSqlValue(value)) {
+    return [];
+  }
+
+  let errors;
+  if (value === null || value === undefined) {
+    const isRequired = isInsert ? isRequiredOnInsert(fieldDefinition, isPrimaryKey) : fieldDefinition.nullable === false;
+    errors = isRequired ? ['is required'] : [];
+  } else {
+    errors = getValueErrors(fieldDefinition, value);
+  }
+
+  if (fieldDefinition.validate) {
+    const result = await fieldDefinition.validate(value, record);
+    if (result === false) {
+      errors.push('is invalid');
+    } else if (isString(result)) {
+      errors.push(result);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  getFieldErrors,
+};
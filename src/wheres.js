@@ -1,8 +1,10 @@
 'use strict';
 const {comparison: comparisonDefs, connective: connectiveDefs, type: typeDefs, valueNotNull} = require('./constants');
 const {FieldNotFoundError, WhereParserError} = require('./errors');
-const {getFieldDbName} = require('./utils/misc');
-const {quoteIdentifier} = require('./utils/sql');
+const {TextSearch, getTsvectorSql, isExpression} = require('./expressions');
+const {getFieldDbName, isArrayType} = require('./utils/misc');
+const {formatRange, getElementRangeType, getRangeElementType, isRangeType, isRangeValue} = require('./utils/range');
+const {quoteIdentifier, quoteLiteral} = require('./utils/sql');
 const SqlValue = require('./SqlValue');
 
 const PARENS_COMPARISONS = new Set([
@@ -17,6 +19,14 @@ const PARENS_COMPARISONS = new Set([
   comparisonDefs.notIn,
 ]);
 
+// Array values are bound as a single array parameter, e.g. = ANY ($1).
+const ARRAY_PARAM_COMPARISONS = new Set([
+  comparisonDefs.all,
+  comparisonDefs.any,
+  comparisonDefs.notAll,
+  comparisonDefs.notAny,
+]);
+
 const RHS_ONLY_COMPARISONS = new Set([
   comparisonDefs.exists,
   comparisonDefs.not,
@@ -36,6 +46,74 @@ const TEXT_COMPARISONS = new Set([
   comparisonDefs.similarTo,
 ]);
 
+const JSON_COMPARISONS = new Set([
+  comparisonDefs.hasAllKeys,
+  comparisonDefs.hasAnyKeys,
+  comparisonDefs.hasKey,
+  comparisonDefs.jsonContainedBy,
+  comparisonDefs.jsonContains,
+  comparisonDefs.jsonPathMatch,
+]);
+
+const JSON_VALUE_COMPARISONS = new Set([
+  comparisonDefs.jsonContainedBy,
+  comparisonDefs.jsonContains,
+]);
+
+const JSON_TYPES = new Set([typeDefs.json, typeDefs.jsonb]);
+
+const RANGE_COMPARISONS = new Set([
+  comparisonDefs.adjacent,
+  comparisonDefs.containedBy,
+  comparisonDefs.overlaps,
+  comparisonDefs.rangeContains,
+]);
+
+// Bound values would otherwise be left for Postgres to guess, and arrays are sent as Postgres arrays, not JSON.
+const JSON_BIND_CASTS = {
+  [comparisonDefs.hasAllKeys]: 'text[]',
+  [comparisonDefs.hasAnyKeys]: 'text[]',
+  [comparisonDefs.jsonContainedBy]: 'jsonb',
+  [comparisonDefs.jsonContains]: 'jsonb',
+  [comparisonDefs.jsonPathMatch]: 'jsonpath',
+};
+
+/**
+ * Cast for a single bound value compared to a field, where Postgres can't infer the type from the operator.
+ *
+ * @param {Object} [fieldDefinition]
+ * @param {string} comparison
+ * @param {*} value
+ * @returns {string|null}
+ */
+function getBindCast(fieldDefinition, comparison, value) {
+  const fieldType = fieldDefinition ? fieldDefinition.type : null;
+  if (isArrayType(fieldType)) {
+    return TEXT_COMPARISONS.has(comparison) ? null : fieldType;
+  }
+  if (isRangeType(fieldType)) {
+    if (TEXT_COMPARISONS.has(comparison)) {
+      return null;
+    }
+
+    // Ranges can contain either a range or an element.
+    return comparison === comparisonDefs.rangeContains && !isRangeValue(value) ? getRangeElementType(fieldType) : fieldType;
+  }
+  if (JSON_TYPES.has(fieldType)) {
+    return JSON_BIND_CASTS[comparison] ?? null;
+  }
+  if (comparison === comparisonDefs.containedBy && isRangeValue(value)) {
+    return getElementRangeType(fieldType);
+  }
+
+  return null;
+}
+
+const TEXT_SEARCH_OPERATOR = '@@';
+
+const regexJsonPathSeparator = /->>?/;
+const regexArrayIndex = /^-?\d+$/;
+
 /**
  * @typedef {Object} ConnectedWheres
  * @memberOf SQL
@@ -74,12 +152,94 @@ function joinWithConnective(parts, connective, siblings) {
   return joined;
 }
 
+/**
+ * Resolve a field key to its definition and column SQL.
+ * With joins, keys like "author.email" resolve to the joined Record's field and base fields are qualified by table.
+ * Keys like "settings->theme" resolve to a value within a json field, as jsonb, with textColumn for comparing it as text.
+ *
+ * @param {string} recordName
+ * @param {Object} fieldDefinitions
+ * @param {string} key
+ * @param {Object} [scope]
+ * @param {string} [scope.table] - Qualify base fields with this table name or alias.
+ * @param {Object} [scope.joins] - Join aliases to objects with the joined recordType.
+ * @param {Object} [scope.aliases] - Select aliases to an already resolved {fieldDefinition, column}, checked first.
+ * @returns {{fieldDefinition: Object|null, column: string, textColumn?: string}}
+ */
+function resolveField(recordName, fieldDefinitions, key, {table = null, joins = null, aliases = null} = {}) {
+  if (aliases && Object.hasOwn(aliases, key)) {
+    return aliases[key];
+  }
+
+  if (!fieldDefinitions[key] && regexJsonPathSeparator.test(key)) {
+    const [baseKey, ...path] = key.split(regexJsonPathSeparator);
+    const {fieldDefinition: baseDefinition, column} = resolveField(recordName, fieldDefinitions, baseKey, {table, joins});
+    // Paths within json fields are also jsonb, for the JSON comparisons.
+    const baseSql = baseDefinition.type === typeDefs.json ? `${column}::jsonb` : column;
+
+    const pathSql = path.map((part) => (regexArrayIndex.test(part) ? part : quoteLiteral(part)));
+    const parentSql = [baseSql, ...pathSql.slice(0, -1)].join('->');
+    const lastSql = pathSql[pathSql.length - 1];
+
+    return {
+      fieldDefinition: {type: typeDefs.jsonb},
+      column: `${parentSql}->${lastSql}`,
+      textColumn: `${parentSql}->>${lastSql}`,
+    };
+  }
+
+  let definitions = fieldDefinitions;
+  let qualifier = table;
+  let fieldKey = key;
+
+  const dotIndex = !fieldDefinitions[key] && joins ? String(key).lastIndexOf('.') : -1;
+  if (dotIndex !== -1) {
+    const alias = key.slice(0, dotIndex);
+    if (Object.hasOwn(joins, alias)) {
+      definitions = joins[alias].recordType.fields;
+      qualifier = alias;
+      fieldKey = key.slice(dotIndex + 1);
+    }
+  }
+
+  const fieldDefinition = definitions[fieldKey];
+  if (!fieldDefinition) {
+    throw new FieldNotFoundError(key, recordName);
+  }
+
+  const column = quoteIdentifier(getFieldDbName(definitions, fieldKey));
+
+  return {fieldDefinition, column: qualifier ? `${quoteIdentifier(qualifier)}.${column}` : column};
+}
+
+/**
+ * Bind function for expression literals, binding after the values already used.
+ *
+ * @param {number} bindParamsUsed
+ * @param {Array} values - Bound values are appended.
+ * @returns {function(*): string}
+ */
+function getBinder(bindParamsUsed, values) {
+  return (value) => {
+    values.push(value);
+
+    return `$${bindParamsUsed + values.length}`;
+  };
+}
+
 function getWhereSql(
   conn,
   recordName,
   fieldDefinitions,
   wheres,
-  {comparison = null, connective = connectiveDefs.and, bindParamsUsed = 0, siblings = 0, lhs = null} = {}
+  {
+    comparison = null,
+    connective = connectiveDefs.and,
+    bindParamsUsed = 0,
+    siblings = 0,
+    lhs = null,
+    scope = {},
+  } = {}
 ) {
   // Grouped handling
   const isConnectedWheres = wheres instanceof ConnectedWheres;
@@ -107,6 +267,7 @@ function getWhereSql(
           bindParamsUsed: bindParamsUsed + values.length,
           siblings: connectedWheres.length - 1,
           lhs,
+          scope,
         }
       );
 
@@ -136,11 +297,11 @@ function getWhereSql(
 
   let queryParts = [];
   const values = [];
+  const resolve = (expressionKey) => resolveField(recordName, fieldDefinitions, expressionKey, scope);
   for (const [key, value] of fields) {
-    const fieldDefinition = fieldDefinitions[key];
-    if (key !== undefined && !fieldDefinition) {
-      throw new FieldNotFoundError(key, recordName);
-    }
+    // Map wheres can have expression keys, e.g. SQL.fn.lower('email').
+    const isExpressionKey = isExpression(key);
+    const {fieldDefinition, column, textColumn} = key !== undefined && !isExpressionKey ? resolve(key) : {};
 
     if (value === undefined) {
       console.warn(`Skipped undefined value for ${key} while processing wheres for ${recordName}`);
@@ -163,6 +324,7 @@ function getWhereSql(
             bindParamsUsed: bindParamsUsed + values.length,
             siblings: value.wheres.length - 1,
             lhs: key,
+            scope,
           }
         );
 
@@ -177,13 +339,12 @@ function getWhereSql(
     }
     // Regular, non-connective, value handling.
 
+    const lhsColumn = isExpressionKey ? key.getExpressionSql(resolve, getBinder(bindParamsUsed, values)) : column;
     const columnSql = getColumnWhereSql(
       conn,
-      recordName,
-      fieldDefinitions,
-      key,
+      lhsColumn,
       value,
-      {comparison, bindParamsUsed: bindParamsUsed + values.length}
+      {comparison, bindParamsUsed: bindParamsUsed + values.length, fieldDefinition, resolve}
     );
 
     let sqlLhs = columnSql.lhs;
@@ -193,25 +354,40 @@ function getWhereSql(
       throw new WhereParserError(`Where parsing failed for key "${key}". Comparison requested (${sqlComparison}) does not support a left hand side.`);
     }
 
-    if (TEXT_COMPARISONS.has(sqlComparison) && fieldDefinition && fieldDefinition.type !== typeDefs.text) {
+    if (textColumn && sqlLhs === lhsColumn && !JSON_COMPARISONS.has(sqlComparison)) {
+      sqlLhs = textColumn; // JSON paths compare as text, except with JSON comparisons which need jsonb.
+    } else if (fieldDefinition && fieldDefinition.type === typeDefs.json && JSON_COMPARISONS.has(sqlComparison)) {
+      sqlLhs += '::jsonb'; // json has none of the JSON comparison operators.
+    } else if (TEXT_COMPARISONS.has(sqlComparison) && fieldDefinition && fieldDefinition.type !== typeDefs.text) {
       sqlLhs += '::text';
     }
 
     let sqlRhs = columnSql.rhs;
+    let bindValues = columnSql.values;
     if (sqlRhs === null) {
+      if (fieldDefinition && JSON_TYPES.has(fieldDefinition.type) && JSON_VALUE_COMPARISONS.has(sqlComparison)) {
+        bindValues = bindValues.map((jsonValue) => JSON.stringify(jsonValue));
+      } else if (fieldDefinition && (isRangeType(fieldDefinition.type) || RANGE_COMPARISONS.has(sqlComparison))) {
+        bindValues = bindValues.map((rangeValue) => (isRangeValue(rangeValue) ? formatRange(rangeValue) : rangeValue));
+      }
+
       const bindCount = columnSql.values.length;
       const useParens = bindCount > 1 || PARENS_COMPARISONS.has(sqlComparison);
       if (useParens) {
         sqlRhs = `(${Array.from(Array(bindCount)).map((_, i) => '$' + (bindParamsUsed + values.length + 1 + i)).join(', ')})`;
       } else {
         sqlRhs = `$${bindParamsUsed + values.length + 1}`;
+        const bindCast = getBindCast(fieldDefinition, sqlComparison, columnSql.values[0]);
+        if (bindCast) {
+          sqlRhs += `::${bindCast}`;
+        }
       }
     }
 
     const queryPart = [sqlLhs, sqlComparison, sqlRhs].filter(v => v !== undefined).join(' ');
 
     queryParts.push(queryPart);
-    Array.prototype.push.apply(values, columnSql.values);
+    Array.prototype.push.apply(values, bindValues);
   }
 
   const outputQueryParts = queryParts.filter(Boolean);
@@ -220,8 +396,10 @@ function getWhereSql(
   return {query, values};
 }
 
-function getColumnWhereSql(conn, recordName, fieldDefinitions, key, value, {comparison = null, bindParamsUsed = 0} = {}) {
-  let lhs = key ? quoteIdentifier(getFieldDbName(fieldDefinitions, key)) : undefined;
+function getColumnWhereSql(conn, column, value, {comparison = null, bindParamsUsed = 0, fieldDefinition = null, resolve = null} = {}) {
+  const isArrayField = !!fieldDefinition && isArrayType(fieldDefinition.type);
+
+  let lhs = column;
   let rhs = null;
   let values = [];
 
@@ -241,7 +419,11 @@ function getColumnWhereSql(conn, recordName, fieldDefinitions, key, value, {comp
     rhs = value.description;
   } else if (Array.isArray(value) || isSet) {
     const array = isSet ? Array.from(value) : value;
-    if (array.length) {
+    if (isArrayField) {
+      // The whole array is the value for array fields.
+      outputComparison = comparison || comparisonDefs.equal;
+      values.push(array);
+    } else if (array.length) {
       outputComparison = comparisonDefs.in;
       values = array;
     } else {
@@ -250,13 +432,33 @@ function getColumnWhereSql(conn, recordName, fieldDefinitions, key, value, {comp
       outputComparison = comparisonDefs.equal;
       rhs = 'false';
     }
+  } else if (value instanceof TextSearch) {
+    const {configSql, tsquerySql, values: searchValues} = value.getTsqueryPack(bindParamsUsed);
+
+    lhs = getTsvectorSql({fieldDefinition, column}, configSql);
+    outputComparison = TEXT_SEARCH_OPERATOR;
+    rhs = tsquerySql;
+    values = searchValues;
+  } else if (isExpression(value)) {
+    outputComparison = comparison || comparisonDefs.equal;
+    rhs = value.getExpressionSql(resolve, getBinder(bindParamsUsed, values));
   } else if (value instanceof SqlValue) {
     outputComparison = value.comparison || comparisonDefs.equal;
 
     const actualValue = value.getValue();
     const isParensComparison = PARENS_COMPARISONS.has(outputComparison);
-    if (value.bind) {
-      if (isParensComparison && (Array.isArray(actualValue) || actualValue instanceof Set)) {
+    if (value.bind && outputComparison === comparisonDefs.between) {
+      if (!Array.isArray(actualValue) || actualValue.length !== 2) {
+        throw new WhereParserError('Where parsing failed, between requires a lower and an upper value.');
+      }
+
+      rhs = `$${bindParamsUsed + 1} AND $${bindParamsUsed + 2}`;
+      values = actualValue;
+    } else if (value.bind) {
+      const isArrayValue = Array.isArray(actualValue) || actualValue instanceof Set;
+      if (isArrayValue && (ARRAY_PARAM_COMPARISONS.has(outputComparison) || (isArrayField && !isParensComparison))) {
+        values.push(Array.from(actualValue));
+      } else if (isParensComparison && isArrayValue) {
         if (actualValue instanceof Set) {
           for (const subValue of actualValue) {
             values.push(subValue);
@@ -264,6 +466,8 @@ function getColumnWhereSql(conn, recordName, fieldDefinitions, key, value, {comp
         } else {
           Array.prototype.push.apply(values, actualValue);
         }
+      } else if (isExpression(actualValue)) {
+        rhs = actualValue.getExpressionSql(resolve, getBinder(bindParamsUsed, values));
       } else if (actualValue && typeof actualValue.getSql === 'function') {
         const sqlPack = actualValue.getSql(conn, {isSubquery: true, bindParamsUsed});
 
@@ -290,4 +494,4 @@ function getColumnWhereSql(conn, recordName, fieldDefinitions, key, value, {comp
   return {lhs, comparison: outputComparison, rhs, values};
 }
 
-module.exports = {ConnectedWheres, And, Or, getWhereSql};
+module.exports = {ConnectedWheres, And, Or, getWhereSql, resolveField};
@@ -2,7 +2,9 @@
 const SQL = require('../src');
 const {getFieldDbName} = require('../src/utils/misc');
 const {dropTables, createTestPool} = require('./_utils');
+const {Buffer} = require('buffer');
 const test = require('ava');
+const PG = require('pg');
 
 // We want coverage for debug lines but without actually having to see them.
 // Disable this if you need to manually debug=true something.
@@ -99,17 +101,223 @@ class Interval extends SQL.Record {
   debug = DEBUG_COVERAGE;
 }
 
+class OptimisticDocument extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    title: {type: SQL.type.text},
+    body: {type: SQL.type.json},
+    meta: {type: SQL.type.jsonb},
+    createdAt: {type: SQL.type.timestamptz, nullable: false, defaultValue: SQL.valueNow},
+  };
+  static optimisticLocking = true;
+  static primaryKeyFields = ['id'];
+  static table = 'supple_test_optimistic_documents';
+
+  debug = DEBUG_COVERAGE;
+}
+
+class VersionedDocument extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    title: {type: SQL.type.text},
+    lockVersion: {type: SQL.type.integer, nullable: false, defaultValue: 0},
+  };
+  static primaryKeyFields = ['id'];
+  static table = 'supple_test_versioned_documents';
+  static versionField = 'lockVersion';
+
+  debug = DEBUG_COVERAGE;
+}
+
+class ConstrainedParent extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    email: {type: SQL.type.text, nullable: false, unique: true, name: 'contact_email'},
+    score: {type: SQL.type.integer},
+  };
+  static primaryKeyFields = ['id'];
+  static table = 'supple_test_constrained_parents';
+
+  debug = DEBUG_COVERAGE;
+}
+
+class ConstrainedChild extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    parentId: {type: SQL.type.integer},
+  };
+  static primaryKeyFields = ['id'];
+  static table = 'supple_test_constrained_children';
+
+  debug = DEBUG_COVERAGE;
+}
+
+class SchemaNote extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    title: {type: SQL.type.text, unique: true},
+  };
+  static primaryKeyFields = ['id'];
+  static schema = 'supple_test_record_schema';
+  static table = 'supple_test_schema_notes';
+
+  debug = DEBUG_COVERAGE;
+}
+
+class DottedSchemaNote extends SQL.Record {
+  static fields = SchemaNote.fields;
+  static primaryKeyFields = ['id'];
+  static table = 'supple_test_record_schema.supple_test_schema_notes';
+
+  debug = DEBUG_COVERAGE;
+}
+
+class DefaultSchemaNote extends SQL.Record {
+  static fields = SchemaNote.fields;
+  static primaryKeyFields = ['id'];
+  static table = 'supple_test_schema_notes';
+
+  debug = DEBUG_COVERAGE;
+}
+
+class HookedNote extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    title: {type: SQL.type.text, nullable: false},
+    slug: {type: SQL.type.text},
+  };
+  static primaryKeyFields = ['id'];
+  static table = 'supple_test_hooked_notes';
+
+  debug = DEBUG_COVERAGE;
+
+  hookCalls = [];
+
+  record(name, {conn, dirtyFields}) {
+    this.hookCalls.push([name, Array.from(dirtyFields).sort(), conn]);
+  }
+
+  async beforeValidate(context) {
+    this.record('beforeValidate', context);
+  }
+
+  async beforeInsert(context) {
+    this.record('beforeInsert', context);
+    this.slug = this.title.toLowerCase().replace(/\W+/g, '-');
+  }
+
+  async afterInsert(context) {
+    this.record('afterInsert', context);
+  }
+
+  async beforeUpdate(context) {
+    this.record('beforeUpdate', context);
+    if (this.title === 'forbidden') {
+      throw new Error('Forbidden title.');
+    }
+  }
+
+  async afterUpdate(context) {
+    this.record('afterUpdate', context);
+  }
+
+  async beforeDelete(context) {
+    this.record('beforeDelete', context);
+  }
+
+  async afterDelete(context) {
+    this.record('afterDelete', context);
+  }
+
+  afterLoad(context) {
+    this.record('afterLoad', context);
+  }
+}
+
+class ValidatedItem extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    name: {type: SQL.type.text, nullable: false, maxLength: 10, pattern: /^[a-z ]+$/},
+    quantity: {type: SQL.type.integer, nullable: false, defaultValue: 1, min: 0, max: 100},
+    status: {type: SQL.type.text, enum: ['draft', 'published']},
+    code: {type: SQL.type.uuid},
+    even: {type: SQL.type.smallint, validate: (value) => value === undefined || value === null || value % 2 === 0 || 'is odd'},
+    note: {type: SQL.type.text, validate: async (value, record) => record.status !== 'published' || !!value},
+    createdAt: {type: SQL.type.timestamptz, nullable: false, defaultValue: SQL.valueNow},
+  };
+  static primaryKeyFields = ['id'];
+  static table = 'supple_test_validated_items';
+
+  debug = DEBUG_COVERAGE;
+}
+
+// As generateRecord() emits identity columns.
+class IdentityItem extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.integer, nullable: false},
+    name: {type: SQL.type.text, nullable: false},
+  };
+  static primaryKeyFields = ['id'];
+  static table = 'supple_test_identity_items';
+
+  debug = DEBUG_COVERAGE;
+}
+
 test.before(async () => {
   return SQL.connected(async (conn) => {
     await dropTables(conn, [
+      IdentityItem.table,
+      ConstrainedChild.table,
+      ConstrainedParent.table,
       User.table,
       Mark.table,
       Keyed.table,
       AllInts.table,
       MultiColumnKey.table,
       Interval.table,
+      OptimisticDocument.table,
+      VersionedDocument.table,
+      HookedNote.table,
+      ValidatedItem.table,
     ]);
 
+    await conn.query(`
+      CREATE TABLE ${IdentityItem.table} (
+        id INTEGER GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+        name TEXT NOT NULL
+      )
+    `);
+
+    await conn.query(`
+      CREATE TABLE ${ValidatedItem.table} (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        status TEXT,
+        code UUID,
+        even SMALLINT,
+        note TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await conn.query(`
+      CREATE TABLE ${HookedNote.table} (
+        id SERIAL PRIMARY KEY,
+        title TEXT NOT NULL,
+        slug TEXT
+      )
+    `);
+
+    await conn.query('CREATE SCHEMA IF NOT EXISTS supple_test_record_schema');
+    await dropTables(conn, [DottedSchemaNote.table]);
+    await conn.query(`
+      CREATE TABLE ${DottedSchemaNote.table} (
+        id SERIAL PRIMARY KEY,
+        title TEXT UNIQUE
+      )
+    `);
+
     await conn.query(`
       CREATE TABLE ${User.table} (
         id SERIAL PRIMARY KEY,
@@ -155,6 +363,40 @@ test.before(async () => {
         key INTERVAL PRIMARY KEY
       )
     `);
+
+    await conn.query(`
+      CREATE TABLE ${OptimisticDocument.table} (
+        id SERIAL PRIMARY KEY,
+        title TEXT,
+        body JSON,
+        meta JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await conn.query(`
+      CREATE TABLE ${VersionedDocument.table} (
+        id SERIAL PRIMARY KEY,
+        title TEXT,
+        lock_version INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+
+    await conn.query(`
+      CREATE TABLE ${ConstrainedParent.table} (
+        id SERIAL PRIMARY KEY,
+        contact_email TEXT NOT NULL,
+        score INTEGER CONSTRAINT supple_test_constrained_parents_score_check CHECK (score >= 0),
+        CONSTRAINT supple_test_constrained_parents_email_key UNIQUE (contact_email)
+      )
+    `);
+
+    await conn.query(`
+      CREATE TABLE ${ConstrainedChild.table} (
+        id SERIAL PRIMARY KEY,
+        parent_id INTEGER CONSTRAINT supple_test_constrained_children_parent_fkey REFERENCES ${ConstrainedParent.table} (id)
+      )
+    `);
   }, {pool});
 });
 
@@ -330,6 +572,247 @@ test('save can ignore conflicts', async (t) => {
   t.true(await dupInsert.save(true, true));
 });
 
+test('save() enforcePrev returns false on a lost update', async (t) => {
+  const source = {
+    email: 'record-save-enforce-prev@example.com',
+    displayName: 'Record Save Enforce Prev',
+  };
+  const user = await createUser(source);
+
+  const otherCopy = await User.findByPk(pool, user.id);
+  otherCopy.displayName = 'Record Save Enforce Prev - Other Copy';
+  t.true(await otherCopy.save({enforcePrev: true}));
+
+  user.displayName = 'Record Save Enforce Prev - Stale Copy';
+  t.false(await user.save({enforcePrev: true}));
+  t.true(user.isDirty());
+
+  const reloaded = await User.findByPk(pool, user.id);
+  t.is(reloaded.displayName, otherCopy.displayName);
+
+  // Without enforcePrev the stale copy wins.
+  t.true(await user.save());
+  t.is(user.displayName, 'Record Save Enforce Prev - Stale Copy');
+});
+
+test('save() enforcePrev checks against values saved with skipReload', async (t) => {
+  const user = await createUser({
+    email: 'record-save-enforce-prev-skip-reload@example.com',
+    displayName: 'Record Save Enforce Prev Skip Reload',
+  });
+
+  user.displayName = 'Record Save Enforce Prev Skip Reload - First';
+  t.true(await user.save({enforcePrev: true, skipReload: true}));
+  t.false(user.isDirty());
+  user.displayName = 'Record Save Enforce Prev Skip Reload - Second';
+  t.true(await user.save({enforcePrev: true, skipReload: true}));
+
+  const otherCopy = await User.findByPk(pool, user.id);
+  t.is(otherCopy.displayName, user.displayName);
+  otherCopy.displayName = 'Record Save Enforce Prev Skip Reload - Other Copy';
+  t.true(await otherCopy.save());
+
+  user.displayName = 'Record Save Enforce Prev Skip Reload - Stale';
+  t.false(await user.save({enforcePrev: true, skipReload: true}));
+
+  // Later saves find the row by a primary key changed with skipReload.
+  const renumbered = await createUser({
+    email: 'record-save-skip-reload-pk@example.com',
+    displayName: 'Record Save Skip Reload Primary Key',
+  });
+  renumbered.id += 1000000;
+  t.true(await renumbered.save({skipReload: true}));
+  renumbered.displayName = 'Record Save Skip Reload Primary Key - Renumbered';
+  t.true(await renumbered.save({enforcePrev: true, skipReload: true}));
+  t.is((await User.findByPk(pool, renumbered.id)).displayName, renumbered.displayName);
+});
+
+test('save() enforcePrev throwOnStale throws StaleRecordError', async (t) => {
+  const source = {
+    email: 'record-save-throw-on-stale@example.com',
+    displayName: 'Record Save Throw On Stale',
+  };
+  const user = await createUser(source);
+
+  await User.deleteByPk(pool, user.id);
+
+  user.displayName = 'Record Save Throw On Stale - Deleted';
+  const err = await t.throwsAsync(user.save({enforcePrev: true, throwOnStale: true}), {instanceOf: SQL.StaleRecordError});
+  t.is(err.recordType, User);
+  t.deepEqual(err.primaryKeyValues, {id: user.id});
+});
+
+test('optimisticLocking defaults enforcePrev and compares every field type', async (t) => {
+  const doc = new OptimisticDocument(pool, {
+    title: 'Optimistic',
+    body: {nested: [1, 2]},
+    meta: {tags: ['a', 'b']},
+  });
+  await doc.save();
+
+  const otherCopy = await OptimisticDocument.findByPk(pool, doc.id);
+
+  doc.title = 'Optimistic - First';
+  t.true(await doc.save());
+  doc.title = 'Optimistic - Second';
+  t.true(await doc.save({skipReload: true}));
+
+  otherCopy.title = 'Optimistic - Stale';
+  t.false(await otherCopy.save());
+
+  otherCopy.body = null;
+  t.true(await otherCopy.save({enforcePrev: false}));
+
+  // Only values which can be compared are enforced.
+  const restored = new OptimisticDocument(pool);
+  restored.restore({id: doc.id, title: otherCopy.title, meta: otherCopy.meta, body: null, createdAt: SQL.valueNow});
+  restored.title = 'Optimistic - Restored';
+  t.true(await restored.save());
+});
+
+test('versionField is incremented and checked by save()', async (t) => {
+  const doc = new VersionedDocument(pool, {title: 'Versioned'});
+  await doc.save();
+  t.is(doc.lockVersion, 0);
+
+  const otherCopy = await VersionedDocument.findByPk(pool, doc.id);
+
+  doc.title = 'Versioned - First';
+  t.true(await doc.save());
+  t.is(doc.lockVersion, 1);
+
+  doc.title = 'Versioned - Second';
+  t.true(await doc.save(true));
+  t.is(doc.lockVersion, 2);
+  t.false(doc.isFieldDirty('lockVersion'));
+
+  doc.title = 'Versioned - Third';
+  t.true(await doc.save());
+  t.is(doc.lockVersion, 3);
+
+  // Version changes are never taken from the instance.
+  doc.lockVersion = 100;
+  t.false(await doc.save());
+
+  otherCopy.title = 'Versioned - Stale';
+  const err = await t.throwsAsync(otherCopy.save(), {instanceOf: SQL.StaleRecordError});
+  t.is(err.recordType, VersionedDocument);
+  t.deepEqual(err.primaryKeyValues, {id: doc.id});
+});
+
+test('versionField is checked by delete()', async (t) => {
+  const doc = new VersionedDocument(pool, {title: 'Versioned Delete'});
+  await doc.save();
+
+  const otherCopy = await VersionedDocument.findByPk(pool, doc.id);
+  otherCopy.title = 'Versioned Delete - Changed';
+  await otherCopy.save();
+
+  const err = await t.throwsAsync(doc.delete(), {instanceOf: SQL.StaleRecordError});
+  t.deepEqual(err.primaryKeyValues, {id: doc.id});
+  t.true(doc.isLoaded);
+
+  t.true(await otherCopy.delete());
+
+  // Without a loaded version there is nothing to check.
+  t.false(await VersionedDocument.deleteByPk(pool, doc.id));
+});
+
+test('versionField must be a field', async (t) => {
+  class MissingVersionField extends SQL.Record {
+    static fields = {
+      id: {type: SQL.type.serial, primaryKey: true},
+    };
+    static primaryKeyFields = ['id'];
+    static table = VersionedDocument.table;
+    static versionField = 'doesNotExist';
+
+    debug = DEBUG_COVERAGE;
+  }
+
+  const record = new MissingVersionField(pool);
+  record.restore({id: 1});
+  await t.throwsAsync(record.delete(), {instanceOf: SQL.FieldNotFoundError});
+});
+
+test('save() onConflict upserts', async (t) => {
+  const source = {
+    email: 'record-save-on-conflict@example.com',
+    displayName: 'Record Save On Conflict',
+    password: 'original password',
+  };
+  const user = await createUser(source);
+
+  const upserted = new User(pool, {...source, displayName: 'Record Save On Conflict - Upserted', password: 'new password'});
+  t.true(await upserted.save({onConflict: {target: ['email'], update: ['displayName']}}));
+  t.true(upserted.isLoaded);
+  t.is(upserted.id, user.id);
+  t.is(upserted.displayName, 'Record Save On Conflict - Upserted');
+  t.is(upserted.password, source.password);
+
+  const unchanged = new User(pool, {...source, displayName: 'Record Save On Conflict - Unchanged'});
+  t.true(await unchanged.save({onConflict: {target: 'email', update: []}}));
+  t.is(unchanged.id, user.id);
+  t.is(unchanged.displayName, upserted.displayName);
+
+  const inserted = new User(pool, {...source, email: 'record-save-on-conflict-inserted@example.com'});
+  t.true(await inserted.save({onConflict: {target: 'email'}}));
+  t.not(inserted.id, user.id);
+});
+
+test('upsert()', async (t) => {
+  const source = {
+    email: 'record-upsert@example.com',
+    displayName: 'Record Upsert',
+    password: 'original password',
+  };
+  const user = await User.upsert(pool, source, {target: 'email'});
+  t.true(user.isLoaded);
+
+  const upserted = await User.upsert(pool, {...source, password: 'new password'}, {target: 'email', update: 'all'});
+  t.is(upserted.id, user.id);
+  t.is(upserted.password, 'new password');
+
+  // Defaults fill in inserts but don't overwrite the existing row.
+  const defaulted = await User.upsert(pool, {email: source.email, password: 'newer password'}, {target: 'email'});
+  t.is(defaulted.displayName, source.displayName);
+  t.is(defaulted.password, 'newer password');
+  const [defaultedMany] = await User.insertMany(pool, [{email: source.email, password: 'newest password'}], {onConflict: {target: 'email'}});
+  t.is(defaultedMany.displayName, source.displayName);
+  t.is(defaultedMany.password, 'newest password');
+
+  const doc = await VersionedDocument.upsert(pool, {title: 'Versioned Upsert'}, {target: 'id'});
+  t.is(doc.lockVersion, 0);
+  const upsertedDoc = await VersionedDocument.upsert(pool, {id: doc.id, title: 'Versioned Upsert - Upserted', lockVersion: 50}, {target: 'id'});
+  t.is(upsertedDoc.title, 'Versioned Upsert - Upserted');
+  t.is(upsertedDoc.lockVersion, 1);
+  const explicitDoc = await VersionedDocument.upsert(pool, {id: doc.id, title: 'Versioned Upsert - Explicit', lockVersion: 50}, {target: 'id', update: ['title', 'lockVersion']});
+  t.is(explicitDoc.title, 'Versioned Upsert - Explicit');
+  t.is(explicitDoc.lockVersion, 2);
+
+  const marks = await Mark.insertMany(pool, [{}, {}]);
+  const upsertedMarks = await Mark.insertMany(pool, [...marks.map(m => ({id: m.id})), {}], {onConflict: {target: 'id'}});
+  t.deepEqual(upsertedMarks.slice(0, 2).map(m => m.data()), marks.map(m => m.data()));
+  t.true(upsertedMarks[2].isLoaded);
+});
+
+test('onConflict option validation', async (t) => {
+  const source = {
+    email: 'record-on-conflict-validation@example.com',
+    displayName: 'Record On Conflict Validation',
+  };
+
+  await t.throwsAsync(new User(pool, source).save({onConflict: {target: 'email'}, ignoreConflict: true, skipReload: true}), {instanceOf: SQL.InvalidOptionCombinationError});
+  await t.throwsAsync(new User(pool, source).save({onConflict: {}}), {instanceOf: SQL.InvalidOptionCombinationError});
+  await t.throwsAsync(new User(pool, source).save({onConflict: {target: 'invalidField'}}), {instanceOf: SQL.FieldNotFoundError});
+  await t.throwsAsync(User.upsert(pool, source), {instanceOf: SQL.MissingRequiredArgError});
+  await t.throwsAsync(User.insertMany(pool, [source], {onConflict: {target: 'email'}, ignoreConflict: true}), {instanceOf: SQL.InvalidOptionCombinationError});
+
+  const user = await createUser(source);
+  user.displayName = 'Record On Conflict Validation - Loaded';
+  await t.throwsAsync(user.save({onConflict: {target: 'email'}}), {instanceOf: SQL.InvalidOptionCombinationError});
+});
+
 test('delete fails if no primary key', async (t) => {
   const keyed = new Keyed(pool);
   await t.throwsAsync(keyed.delete(), {instanceOf: SQL.PrimaryKeyValueMissingError});
@@ -803,6 +1286,61 @@ test('find stream', async (t) => {
   t.is(i, users.length);
 });
 
+test('insertMany()', async (t) => {
+  const existing = new User(pool, {email: 'record-insert-many-instance@example.com', displayName: 'Record Insert Many Instance'});
+  const inserted = await User.insertMany(pool, [
+    {email: 'record-insert-many-a@example.com', displayName: 'Record Insert Many A'},
+    {email: new SQL.Value('record-insert-many-b@example.com', {bind: true}), password: 'secret'},
+    existing,
+    {email: 'record-insert-many-c@example.com', createdAt: SQL.valueNow, optionalAt: new SQL.Value('now()')},
+  ], {chunkSize: 3});
+
+  t.is(inserted.length, 4);
+  t.is(inserted[2], existing);
+  for (const user of inserted) {
+    t.true(user.isLoaded);
+    t.truthy(user.id);
+  }
+  t.is(inserted[0].displayName, 'Record Insert Many A');
+  t.is(inserted[1].email, 'record-insert-many-b@example.com');
+  t.is(inserted[1].displayName, 'A Test User');
+  t.is(inserted[1].password, 'secret');
+  t.true(existing.id > inserted[1].id);
+  t.truthy(inserted[3].optionalAt);
+
+  const loaded = await User.find(pool, {email: SQL.like('record-insert-many-%')});
+  t.is(loaded.length, 4);
+});
+
+test('insertMany() ignoreConflict and skipReload', async (t) => {
+  const rows = [
+    {key: 'record-insert-many-conflict-a'},
+    {key: 'record-insert-many-conflict-b'},
+  ];
+  t.is(await Keyed.insertMany(pool, rows, {skipReload: true}), 2);
+
+  const conflicted = await Keyed.insertMany(pool, [...rows, {key: 'record-insert-many-conflict-c'}], {ignoreConflict: true});
+  t.is(conflicted.length, 1);
+  t.is(conflicted[0].key, 'record-insert-many-conflict-c');
+  t.true(conflicted[0].isLoaded);
+
+  t.is(await Keyed.insertMany(pool, rows, {ignoreConflict: true, skipReload: true}), 0);
+
+  await t.throwsAsync(Keyed.insertMany(pool, rows), {instanceOf: SQL.UniqueViolationError});
+});
+
+test('insertMany() handles defaults only and empty rows', async (t) => {
+  const marks = await Mark.insertMany(pool, [{}, {}, {}]);
+  t.is(marks.length, 3);
+  t.is(new Set(marks.map(m => m.id)).size, 3);
+  t.truthy(marks[0].createdAt);
+
+  t.deepEqual(await Mark.insertMany(pool, []), []);
+  t.is(await Mark.insertMany(pool, [], {skipReload: true}), 0);
+
+  await t.throwsAsync(Mark.insertMany(pool), {instanceOf: SQL.MissingRequiredArgError});
+});
+
 test('newFromDbRow()', async(t) => {
   const source = {
     email: 'record-new-from-db-row@example.com',
@@ -895,3 +1433,310 @@ test('load properly binds values into subqueries', async (t) => {
   t.is(r.displayName, source.displayName); // Round tripping has converted this from a query into a scalar.
   t.is(r.password, source.password);
 });
+
+test('unique violations are translated with the field', async (t) => {
+  const email = 'constraint-unique@example.com';
+  await new ConstrainedParent(pool, {email}).save();
+
+  const err = await t.throwsAsync(new ConstrainedParent(pool, {email}).save(), {instanceOf: SQL.UniqueViolationError});
+  t.true(err instanceof SQL.ConstraintViolationError);
+  t.is(err.code, '23505');
+  t.is(err.constraint, 'supple_test_constrained_parents_email_key');
+  t.is(err.schema, 'public');
+  t.is(err.table, ConstrainedParent.table);
+  t.is(err.column, 'contact_email');
+  t.deepEqual(err.columns, ['contact_email']);
+  t.is(err.field, 'email');
+  t.deepEqual(err.fields, ['email']);
+  t.true(err.cause instanceof PG.DatabaseError);
+
+  const other = await new ConstrainedParent(pool, {email: 'constraint-unique-other@example.com'}).save();
+  const updateErr = await t.throwsAsync(ConstrainedParent.query(pool, {id: other.id}).update({email}), {instanceOf: SQL.UniqueViolationError});
+  t.is(updateErr.field, 'email');
+});
+
+test('not null, check and foreign key violations are translated', async (t) => {
+  const notNullErr = await t.throwsAsync(new ConstrainedParent(pool, {email: null}).save({validate: false}), {instanceOf: SQL.NotNullViolationError});
+  t.is(notNullErr.column, 'contact_email');
+  t.is(notNullErr.field, 'email');
+
+  const parent = new ConstrainedParent(pool, {email: 'constraint-checked@example.com', score: 1});
+  await parent.save();
+  parent.score = -1;
+  const checkErr = await t.throwsAsync(parent.save(), {instanceOf: SQL.CheckViolationError});
+  t.is(checkErr.constraint, 'supple_test_constrained_parents_score_check');
+  t.is(checkErr.column, null);
+  t.is(checkErr.field, null);
+
+  const foreignKeyErr = await t.throwsAsync(new ConstrainedChild(pool, {parentId: -1}).save(), {instanceOf: SQL.ForeignKeyViolationError});
+  t.is(foreignKeyErr.constraint, 'supple_test_constrained_children_parent_fkey');
+  t.is(foreignKeyErr.table, ConstrainedChild.table);
+  t.is(foreignKeyErr.field, 'parentId');
+
+  await new ConstrainedChild(pool, {parentId: parent.id}).save();
+  const referencedErr = await t.throwsAsync(parent.delete(), {instanceOf: SQL.ForeignKeyViolationError});
+  t.is(referencedErr.table, ConstrainedChild.table);
+  t.deepEqual(referencedErr.columns, []);
+  t.deepEqual(referencedErr.fields, []);
+});
+
+test('translated errors can be constructed without details', async (t) => {
+  const constraintErr = new SQL.UniqueViolationError('Duplicate.');
+  t.is(constraintErr.name, 'UniqueViolationError');
+  t.is(constraintErr.column, null);
+  t.deepEqual(constraintErr.fields, []);
+
+  const rollbackErr = new SQL.SerializationFailureError('Conflict.');
+  t.is(rollbackErr.name, 'SerializationFailureError');
+  t.is(rollbackErr.code, null);
+});
+
+test('other database errors are not translated', async (t) => {
+  const err = await t.throwsAsync(ConstrainedParent.findOne(pool, {id: 'not-an-integer'}), {instanceOf: PG.DatabaseError});
+  t.is(err.code, '22P02');
+  await t.throwsAsync(new ConstrainedParent(pool, {id: 'not-an-integer'}).load(), {instanceOf: PG.DatabaseError});
+  await t.throwsAsync(ConstrainedParent.query(pool, {id: 'not-an-integer'}).count(), {instanceOf: PG.DatabaseError});
+});
+
+test('findOne() and load() lock option', async (t) => {
+  const user = await createUser({email: 'record-lock@example.com'});
+
+  await t.throwsAsync(User.findOne(pool, user.id, {lock: SQL.lockStrength.update}), {instanceOf: SQL.LockOutsideTransactionError});
+  await t.throwsAsync(new User(pool, {id: user.id}).load(null, {lock: 'invalid'}), {instanceOf: SQL.InvalidOptionValueError});
+
+  await SQL.transaction(async (conn) => {
+    const locked = await User.findOne(conn, {id: user.id}, {lock: SQL.lockStrength.update});
+    t.is(locked.email, user.email);
+
+    // A second transaction can't get the row while it's locked.
+    await SQL.transaction(async (otherConn) => {
+      t.is(await User.findOne(otherConn, user.id, {lock: {strength: SQL.lockStrength.share, skipLocked: true}}), null);
+      await t.throwsAsync(User.findByPk(otherConn, user.id, {lock: {strength: SQL.lockStrength.share, noWait: true}}), {message: /could not obtain lock/});
+    }, {pool});
+  }, {pool});
+
+  t.is((await User.findOne(pool, user.id)).email, user.email);
+});
+
+test.serial('SQL.defaultSchema applies to records without their own schema', async (t) => {
+  await t.throwsAsync(DefaultSchemaNote.find(pool), {message: /does not exist/});
+
+  SQL.defaultSchema = 'supple_test_record_schema';
+  try {
+    const note = new DefaultSchemaNote(pool, {title: 'default schema'});
+    await note.save();
+    t.is((await SchemaNote.findByPk(pool, note.id)).title, 'default schema');
+    t.is(await DefaultSchemaNote.query(pool, {id: note.id}).count(), 1);
+  } finally {
+    SQL.defaultSchema = null;
+  }
+});
+
+test('static schema and schema-qualified tables', async (t) => {
+  const note = new SchemaNote(pool, {title: 'static schema'});
+  await note.save();
+  const dotted = await DottedSchemaNote.findByPk(pool, note.id);
+  t.is(dotted.title, 'static schema');
+
+  dotted.title = 'dotted schema';
+  await dotted.save();
+  t.is((await SchemaNote.findByPk(pool, note.id)).title, 'dotted schema');
+
+  const [inserted] = await DottedSchemaNote.insertMany(pool, [{title: 'inserted schema'}]);
+  const subquery = DottedSchemaNote.query({title: 'inserted schema'}).returns('id');
+  const ids = SchemaNote.query(pool, {id: subquery}).returns('id');
+  await ids.run();
+  t.deepEqual(ids.rows, [inserted.id]);
+
+  const err = await t.throwsAsync(new DottedSchemaNote(pool, {title: 'inserted schema'}).save(), {instanceOf: SQL.UniqueViolationError});
+  t.is(err.schema, 'supple_test_record_schema');
+  t.is(err.field, 'title');
+
+  await inserted.delete();
+  await note.delete();
+  t.is(await SchemaNote.query(pool, {id: [note.id, inserted.id]}).count(), 0);
+});
+
+test('lifecycle hooks', async (t) => {
+  await SQL.transaction(async (conn) => {
+    const note = new HookedNote(conn, {title: 'Hello World'});
+    await note.save();
+    t.is(note.slug, 'hello-world');
+    t.deepEqual(note.hookCalls, [
+      ['beforeValidate', ['title'], conn],
+      ['beforeInsert', ['title'], conn],
+      ['afterLoad', [], conn],
+      ['afterInsert', ['slug', 'title'], conn],
+    ]);
+
+    note.hookCalls = [];
+    note.title = 'Changed';
+    await note.save();
+    t.deepEqual(note.hookCalls.map(([name, dirtyFields]) => [name, dirtyFields]), [
+      ['beforeValidate', ['title']],
+      ['beforeUpdate', ['title']],
+      ['afterLoad', []],
+      ['afterUpdate', ['title']],
+    ]);
+
+    // A throwing before hook aborts the update.
+    note.hookCalls = [];
+    note.title = 'forbidden';
+    await t.throwsAsync(note.save(), {message: 'Forbidden title.'});
+    t.deepEqual(note.hookCalls.map(([name]) => name), ['beforeValidate', 'beforeUpdate']);
+    t.is((await HookedNote.findByPk(conn, note.id)).title, 'Changed');
+
+    const [queried] = await HookedNote.find(conn, {id: note.id});
+    t.deepEqual(queried.hookCalls, [['afterLoad', [], conn]]);
+
+    queried.hookCalls = [];
+    t.true(await queried.delete());
+    t.deepEqual(queried.hookCalls.map(([name]) => name), ['beforeDelete', 'afterDelete']);
+
+    // Nothing deleted, no afterDelete.
+    queried.hookCalls = [];
+    t.false(await queried.delete());
+    t.deepEqual(queried.hookCalls.map(([name]) => name), ['beforeDelete']);
+  }, {pool});
+
+  // Checked out connections are passed too.
+  const note = new HookedNote(pool, {title: 'Pooled'});
+  await note.save({skipReload: true, ignoreConflict: true});
+  t.deepEqual(note.hookCalls.map(([name]) => name), ['beforeValidate', 'beforeInsert', 'afterInsert']);
+  t.true(note.hookCalls.every(([, , conn]) => conn instanceof PG.Client));
+
+  const loaded = new HookedNote(pool, {title: 'Pooled'});
+  t.true(await loaded.load());
+  t.true(loaded.hookCalls[0][2] instanceof PG.Client);
+
+  const unsaved = new HookedNote(pool);
+  unsaved.loadDbObject({id: 1, title: 'Unsaved', slug: null});
+  t.deepEqual(unsaved.hookCalls, [['afterLoad', [], null]]);
+});
+
+test('save() validates fields', async (t) => {
+  const err = await t.throwsAsync(new ValidatedItem(pool, {
+    name: 'Far Too Long A Name',
+    quantity: 101,
+    status: 'archived',
+    code: 'not-a-uuid',
+    even: 3,
+  }).save(), {instanceOf: SQL.ValidationError});
+  t.is(err.recordType, ValidatedItem);
+  t.deepEqual(err.fields, ['name', 'quantity', 'status', 'code', 'even']);
+  t.deepEqual(err.errors, {
+    name: ['is longer than 10', 'does not match /^[a-z ]+$/'],
+    quantity: ['is greater than 100'],
+    status: ['is not one of draft, published'],
+    code: ['is not a valid uuid'],
+    even: ['is odd'],
+  });
+  t.regex(err.message, /^ValidatedItem failed validation: name is longer than 10, does not match/);
+
+  const missing = await t.throwsAsync(new ValidatedItem(pool, {quantity: -1, status: 'published'}).save(), {instanceOf: SQL.ValidationError});
+  t.deepEqual(missing.errors, {name: ['is required'], quantity: ['is less than 0'], note: ['is invalid']});
+
+  const item = new ValidatedItem(pool, {name: 'widget', code: '00000000-0000-4000-8000-000000000000', even: 4});
+  t.true(await item.save());
+  t.is(item.quantity, 1);
+
+  // Loaded records only check what changed.
+  item.quantity = 'many';
+  item.name = null;
+  const updateErr = await t.throwsAsync(item.save(), {instanceOf: SQL.ValidationError});
+  t.deepEqual(updateErr.errors, {name: ['is required'], quantity: ['is not a valid integer']});
+
+  item.name = 'gadget';
+  item.quantity = 2147483648;
+  t.deepEqual((await t.throwsAsync(item.validate())).errors, {quantity: ['is out of range for integer', 'is greater than 100']});
+  item.quantity = new SQL.Value('quantity + 1');
+  t.true(await item.save());
+  t.is(item.quantity, 2);
+
+  // Opting out leaves it to the db.
+  await t.throwsAsync(new ValidatedItem(pool, {quantity: 'many', name: 'x'}).save({validate: false}), {message: /invalid input syntax for type integer/});
+});
+
+test('validation leaves missing primary keys to the db', async (t) => {
+  const item = new IdentityItem(pool, {name: 'identity'});
+  t.true(await item.save());
+  t.true(Number.isInteger(item.id));
+
+  const err = await t.throwsAsync(new IdentityItem(pool, {}).save(), {instanceOf: SQL.ValidationError});
+  t.deepEqual(err.errors, {name: ['is required']});
+
+  // Loaded records still can't null their key.
+  item.id = null;
+  t.deepEqual((await t.throwsAsync(item.validate())).errors, {id: ['is required']});
+});
+
+test('validate() type checks', async (t) => {
+  class Typed extends SQL.Record {
+    static fields = Object.fromEntries(Object.values(SQL.type).filter((fieldType) => typeof fieldType === 'string').map((fieldType) => [fieldType, {type: fieldType}]));
+    static primaryKeyFields = [SQL.type.serial];
+    static table = 'supple_test_typed';
+  }
+
+  const valid = {
+    bigint: '9007199254740993',
+    bigserial: 10n,
+    boolean: false,
+    bytea: Buffer.from('bytes'),
+    date: new Date(),
+    daterange: '[2024-01-01,2024-02-01)',
+    double: '1.5e3',
+    int4range: {lower: 1, upper: 5},
+    int8range: {empty: true},
+    integer: -5,
+    interval: {hours: 1},
+    json: [1, 'two'],
+    jsonb: {three: 3},
+    numrange: {lower: null, upper: '1.5', upperInclusive: true},
+    real: 0.5,
+    smallint: 32767,
+    smallserial: '12',
+    serial: 1,
+    text: '',
+    time: '12:00',
+    timetz: '12:00+00',
+    timestamp: Date.now(),
+    timestamptz: '2024-01-01T00:00:00Z',
+    tsquery: 'cat & dog',
+    tstzrange: 'empty',
+    tsvector: 'cat dog',
+    uuid: '00000000-0000-4000-8000-000000000000',
+  };
+  await t.notThrowsAsync(new Typed(valid).validate());
+
+  const invalid = {
+    bigint: 1.5,
+    boolean: 'yes',
+    bytea: 1,
+    date: new Date('invalid'),
+    daterange: '2024-01-01',
+    double: 'NaN-ish',
+    int4range: [1, 5],
+    integer: '1.5',
+    interval: 1,
+    real: true,
+    smallint: 40000,
+    text: 1,
+    time: new Date(),
+    timestamptz: new Date('invalid'),
+    tstzrange: new Date(),
+    uuid: 1,
+  };
+  const err = await t.throwsAsync(new Typed(invalid).validate(), {instanceOf: SQL.ValidationError});
+  t.deepEqual(err.fields, Object.keys(invalid));
+
+  // Integer ranges include both bounds.
+  const bounds = {smallint: [-32768, 32767], smallserial: [-32768, 32767], integer: [-2147483648, 2147483647], serial: [-2147483648, 2147483647]};
+  for (const [fieldType, [min, max]] of Object.entries(bounds)) {
+    await t.notThrowsAsync(new Typed({[fieldType]: min}).validate());
+    await t.notThrowsAsync(new Typed({[fieldType]: String(max)}).validate());
+    const belowErr = await t.throwsAsync(new Typed({[fieldType]: min - 1}).validate(), {instanceOf: SQL.ValidationError});
+    t.deepEqual(belowErr.errors, {[fieldType]: [`is out of range for ${fieldType}`]});
+    const aboveErr = await t.throwsAsync(new Typed({[fieldType]: BigInt(max) + 1n}).validate(), {instanceOf: SQL.ValidationError});
+    t.deepEqual(aboveErr.errors, {[fieldType]: [`is out of range for ${fieldType}`]});
+  }
+});
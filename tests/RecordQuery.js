@@ -2,6 +2,7 @@
 const SQL = require('../src');
 const {dropTables, createTestPool} = require('./_utils');
 const test = require('ava');
+const {Buffer} = require('buffer');
 
 // We want coverage for debug lines but without actually having to see them.
 // Disable this if you need to manually debug=true something.
@@ -48,11 +49,181 @@ class QueryTestRecordWithDefaultsAndPrivates extends SQL.Record {
   debug = DEBUG_COVERAGE;
 }
 
+class MutationTestRecord extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    groupKey: {type: SQL.type.text, nullable: false},
+    label: {type: SQL.type.text, name: 'custom_label'},
+    lockVersion: {type: SQL.type.integer, nullable: false, defaultValue: 0},
+    updatedAt: {type: SQL.type.timestamptz},
+  };
+  static primaryKeyFields = ['id'];
+  static table = 'supple_test_query_mutation_records';
+  static versionField = 'lockVersion';
+
+  static debug = DEBUG_COVERAGE;
+  debug = DEBUG_COVERAGE;
+}
+
+class UnfilteredMutationTestRecord extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    label: {type: SQL.type.text},
+  };
+  static primaryKeyFields = ['id'];
+  static table = 'supple_test_query_unfiltered_mutation_records';
+
+  static debug = DEBUG_COVERAGE;
+  debug = DEBUG_COVERAGE;
+}
+
+class DocumentTestRecord extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    title: {type: SQL.type.text},
+    metadata: {type: SQL.type.jsonb},
+    extra: {type: SQL.type.json},
+    tags: {type: SQL.type.array(SQL.type.text)},
+    scores: {type: 'integer[]'},
+  };
+  static primaryKeyFields = ['id'];
+  static table = 'supple_test_query_documents';
+
+  static debug = DEBUG_COVERAGE;
+  debug = DEBUG_COVERAGE;
+}
+
+class ArticleTestRecord extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    title: {type: SQL.type.text},
+    body: {type: SQL.type.text},
+    search: {type: SQL.type.tsvector},
+  };
+  static primaryKeyFields = ['id'];
+  static table = 'supple_test_query_articles';
+
+  static debug = DEBUG_COVERAGE;
+  debug = DEBUG_COVERAGE;
+}
+
+class BookingTestRecord extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    title: {type: SQL.type.text},
+    during: {type: SQL.type.tstzrange},
+    days: {type: SQL.type.daterange},
+    seats: {type: SQL.type.int4range},
+    budget: {type: SQL.type.numrange},
+    serials: {type: SQL.type.int8range},
+    startsAt: {type: SQL.type.timestamptz},
+  };
+  static primaryKeyFields = ['id'];
+  static table = 'supple_test_query_bookings';
+
+  static debug = DEBUG_COVERAGE;
+  debug = DEBUG_COVERAGE;
+}
+
 const pool = createTestPool();
 
+SQL.cursorSecret = 'supple-test-cursor-secret';
+
+async function createMutationRecords(groupKey, count = 3) {
+  return MutationTestRecord.insertMany(pool, Array.from(Array(count)).map((_, i) => ({groupKey, label: `${groupKey} ${i}`})));
+}
+
 test.before(async () => {
   return SQL.connected(async (conn) => {
-    await dropTables(conn, [QueryTestRecord.table]);
+    await dropTables(conn, [QueryTestRecord.table, MutationTestRecord.table, UnfilteredMutationTestRecord.table, DocumentTestRecord.table, ArticleTestRecord.table, BookingTestRecord.table]);
+
+    await conn.query(`
+      CREATE TABLE ${BookingTestRecord.table} (
+        id SERIAL PRIMARY KEY,
+        title TEXT,
+        during TSTZRANGE,
+        days DATERANGE,
+        seats INT4RANGE,
+        budget NUMRANGE,
+        serials INT8RANGE,
+        starts_at TIMESTAMPTZ,
+        EXCLUDE USING gist (during WITH &&)
+      )
+    `);
+    await BookingTestRecord.insertMany(conn, [
+      {
+        title: 'morning',
+        during: {lower: new Date('2024-01-01T09:00:00Z'), upper: new Date('2024-01-01T12:00:00Z')},
+        days: {lower: '2024-01-01', upper: '2024-01-01', upperInclusive: true},
+        seats: '[1,10]',
+        budget: {lower: '0.5', upper: null},
+        serials: {lower: '9007199254740993', upper: '9007199254741000'},
+        startsAt: new Date('2024-01-01T09:00:00Z'),
+      },
+      {
+        title: 'afternoon',
+        during: {lower: new Date('2024-01-01T12:00:00Z'), upper: new Date('2024-01-01T17:00:00Z')},
+        days: {lower: '2024-01-01', upper: '2024-01-03'},
+        seats: {lower: 5, upper: 20},
+        budget: {empty: true},
+        startsAt: new Date('2024-01-01T12:00:00Z'),
+      },
+      {
+        title: 'open',
+        during: {lower: new Date('2024-02-01T00:00:00Z'), upper: Infinity},
+        startsAt: new Date('2024-02-01T00:00:00Z'),
+      },
+      {title: 'past', during: '(-infinity,2023-01-01 00:00:00+00)'},
+    ]);
+
+    await conn.query(`
+      CREATE TABLE ${ArticleTestRecord.table} (
+        id SERIAL PRIMARY KEY,
+        title TEXT,
+        body TEXT,
+        search TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', body)) STORED
+      )
+    `);
+    await conn.query(`
+      INSERT INTO ${ArticleTestRecord.table} (title, body) VALUES
+        ('cats', 'Cats are sleeping on the warm mat. Cats like sleeping.'),
+        ('dogs', 'Dogs are running in the park with other dogs.'),
+        ('both', 'The cat chased the dog around the sleeping house.')
+    `);
+
+    await conn.query(`
+      CREATE TABLE ${DocumentTestRecord.table} (
+        id SERIAL PRIMARY KEY,
+        title TEXT,
+        metadata JSONB,
+        extra JSON,
+        tags TEXT[],
+        scores INTEGER[]
+      )
+    `);
+    await DocumentTestRecord.insertMany(conn, [
+      {title: 'dark', metadata: {settings: {theme: 'dark', size: 12}, tags: ['a', 'b'], count: 3}, extra: {theme: 'dark', sizes: [12]}, tags: ['a', 'b'], scores: [1, 2]},
+      {title: 'light', metadata: {settings: {theme: 'light', size: 9}, tags: ['b'], count: 1}, extra: {theme: 'light'}, tags: ['b'], scores: [3]},
+      {title: 'bare', metadata: {}, tags: [], scores: []},
+      {title: 'null', metadata: null},
+    ]);
+
+    await conn.query(`
+      CREATE TABLE ${UnfilteredMutationTestRecord.table} (
+        id SERIAL PRIMARY KEY,
+        label TEXT
+      )
+    `);
+
+    await conn.query(`
+      CREATE TABLE ${MutationTestRecord.table} (
+        id SERIAL PRIMARY KEY,
+        group_key TEXT NOT NULL,
+        custom_label TEXT,
+        lock_version INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMPTZ
+      )
+    `);
 
     await conn.query(`
       CREATE TABLE ${QueryTestRecord.table} (
@@ -1041,7 +1212,542 @@ test('number of binds is correct', async (t) => {
   t.deepEqual(Array.from(sql.query.matchAll(/\$\d+/g)).map(r => r[0]), ['$1', '$2', '$3', '$4', '$5']);
 });
 
+test('update()', async (t) => {
+  const records = await createMutationRecords('update');
+
+  const q = MutationTestRecord.query(pool, {groupKey: 'update', id: SQL.notEqual(records[0].id)});
+  t.is(await q.update({label: 'updated', updatedAt: SQL.valueNow}), 2);
+
+  const rows = await MutationTestRecord.find(pool, {groupKey: 'update'});
+  t.deepEqual(rows.map(r => r.label), [records[0].label, 'updated', 'updated']);
+  t.deepEqual(rows.map(r => r.lockVersion), [0, 1, 1]);
+  t.is(rows[0].updatedAt, null);
+  t.truthy(rows[1].updatedAt);
+
+  const updated = await q.update({label: new SQL.Value('upper(custom_label)'), lockVersion: 10}, {returning: true});
+  t.is(updated.length, 2);
+  t.true(updated[0] instanceof MutationTestRecord);
+  t.true(updated[0].isLoaded);
+  t.is(updated[0].label, 'UPDATED');
+  t.is(updated[0].lockVersion, 10);
+
+  const ids = await MutationTestRecord.query(pool, {groupKey: 'update'}, {returns: 'id'}).update({label: 'returns'}, {returning: true});
+  t.deepEqual(ids.sort(), records.map(r => r.id).sort());
+
+  t.is(await q.update({}), 0);
+  t.deepEqual(await q.update({}, {returning: true}), []);
+});
+
+test('delete()', async (t) => {
+  const records = await createMutationRecords('delete', 4);
+
+  t.is(await MutationTestRecord.query(pool, {groupKey: 'delete', id: records[0].id}).delete(), 1);
+
+  const deleted = await MutationTestRecord.query(pool, {groupKey: 'delete', id: SQL.in([records[1].id, records[2].id])}, {output: SQL.outputType.object})
+    .delete({returning: true});
+  t.deepEqual(deleted.map(r => r.label).sort(), [records[1].label, records[2].label]);
+
+  t.is(await MutationTestRecord.query(pool, {groupKey: 'delete'}).delete(), 1);
+  t.is(await MutationTestRecord.query(pool, {groupKey: 'delete'}).count(), 0);
+});
+
+test('update() and delete() without wheres affect every row', async (t) => {
+  await UnfilteredMutationTestRecord.insertMany(pool, [{label: 'a'}, {label: 'b'}]);
+
+  t.is(await new SQL.RecordQuery(pool, UnfilteredMutationTestRecord).update({label: 'c'}), 2);
+  t.is(await new SQL.RecordQuery(pool, UnfilteredMutationTestRecord).delete(), 2);
+});
+
+test('update() and delete() validation', async (t) => {
+  await t.throwsAsync(MutationTestRecord.query(pool, {groupKey: 'invalid'}).update({invalidField: true}), {instanceOf: SQL.FieldNotFoundError});
+  await t.throwsAsync(MutationTestRecord.query(pool, {groupKey: 'invalid'}, {limit: 1}).update({label: 'limit'}), {instanceOf: SQL.InvalidOptionCombinationError});
+  await t.throwsAsync(MutationTestRecord.query(pool, {groupKey: 'invalid'}, {offset: 1}).delete(), {instanceOf: SQL.InvalidOptionCombinationError});
+  await t.throwsAsync(MutationTestRecord.query(pool, {groupKey: 'invalid'}, {stream: true}).delete({returning: true}), {instanceOf: SQL.UnavailableInStreamModeError});
+});
+
+test('groupBy(), select() and having()', async (t) => {
+  await createMutationRecords('aggregate-a', 3);
+  await createMutationRecords('aggregate-b', 2);
+  await createMutationRecords('aggregate-c', 1);
+  await MutationTestRecord.query(pool, {groupKey: 'aggregate-b'}).update({lockVersion: 4});
+
+  const q = MutationTestRecord.query(pool, {groupKey: SQL.like('aggregate-%')})
+    .groupBy('groupKey')
+    .select({
+      group: 'groupKey',
+      total: SQL.fn.count(),
+      versions: SQL.fn.sum('lockVersion'),
+      averageVersion: SQL.fn.avg('lockVersion'),
+      firstLabel: SQL.fn.min('label'),
+      lastLabel: SQL.fn.max('label'),
+      labels: SQL.fn.arrayAgg('label'),
+      distinctVersions: SQL.fn.count('lockVersion', {distinct: true}),
+    })
+    .having({total: SQL.greater(1), versions: SQL.lessEqual(10)});
+  await q.run();
+
+  t.deepEqual(q.data(), [
+    {
+      group: 'aggregate-a',
+      total: 3,
+      versions: '0',
+      averageVersion: '0.00000000000000000000',
+      firstLabel: 'aggregate-a 0',
+      lastLabel: 'aggregate-a 2',
+      labels: ['aggregate-a 0', 'aggregate-a 1', 'aggregate-a 2'],
+      distinctVersions: 1,
+    },
+    {
+      group: 'aggregate-b',
+      total: 2,
+      versions: '8',
+      averageVersion: '4.0000000000000000',
+      firstLabel: 'aggregate-b 0',
+      lastLabel: 'aggregate-b 1',
+      labels: ['aggregate-b 0', 'aggregate-b 1'],
+      distinctVersions: 1,
+    },
+  ]);
+  t.is(await q.count(), 2);
+
+  const ordered = await MutationTestRecord.query(pool, {groupKey: SQL.like('aggregate-%')})
+    .groupBy('groupKey')
+    .select({groupKey: 'groupKey', total: SQL.fn.count()})
+    .orderBy(['total', SQL.sort.desc]);
+  await ordered.run();
+  t.deepEqual(ordered.map((row) => row.groupKey), ['aggregate-a', 'aggregate-b', 'aggregate-c']);
+
+  // Aggregates without groupBy are over every matching row.
+  const totals = await MutationTestRecord.query(pool, {groupKey: SQL.like('aggregate-%')}).select({total: SQL.fn.count()});
+  await totals.run();
+  t.deepEqual(totals.rows, [{total: 6}]);
+
+  const flags = await QueryTestRecord.query(pool, {aNumber: [0, 1]})
+    .groupBy('aNumber')
+    .select({aNumber: 'aNumber', anyFlag: SQL.fn.boolOr('aFlag')});
+  await flags.run();
+  t.deepEqual(flags.rows, [{aNumber: 0, anyFlag: true}, {aNumber: 1, anyFlag: true}]);
+});
+
+test('select() binds, fields and validation', async (t) => {
+  await createMutationRecords('select-binds', 2);
+
+  const q = MutationTestRecord.query(pool, {groupKey: 'select-binds', label: SQL.notIn(['x', 'y'])})
+    .groupBy('groupKey', 'label')
+    .select({groupKey: 'groupKey', label: 'label', total: SQL.fn.count()})
+    .having({label: SQL.notEqual('select-binds 0')});
+  const {query, values} = q.getSql();
+  t.deepEqual(Array.from(query.matchAll(/\$\d+/g)).map(r => r[0]), ['$1', '$2', '$3', '$4']);
+  t.deepEqual(values, ['select-binds', 'x', 'y', 'select-binds 0']);
+  await q.run();
+  t.deepEqual(q.data(), [{groupKey: 'select-binds', label: 'select-binds 1', total: 1}]);
+  t.deepEqual(q.data({fields: ['total']}), [{total: 1}]);
+
+  const privates = await QueryTestRecordWithDefaultsAndPrivates.query(pool, {aNumber: 0})
+    .select({aNumber: 'aNumber', flag: 'aFlag', aFlag: SQL.fn.boolOr('aFlag')})
+    .groupBy('aNumber', 'aFlag');
+  await privates.run();
+  t.deepEqual(privates.data(), [{aNumber: 0}, {aNumber: 0}, {aNumber: 0}]);
+  t.is(privates.data({includePrivate: true}).length, 3);
+
+  t.throws(() => SQL.fn.sum(), {instanceOf: SQL.MissingRequiredArgError});
+  t.throws(() => MutationTestRecord.query(pool, {}).select({total: 1}), {instanceOf: SQL.InvalidOptionValueError});
+  t.throws(() => MutationTestRecord.query(pool, {}, {returns: 'id'}).select({id: 'id'}), {instanceOf: SQL.InvalidOptionCombinationError});
+  t.throws(() => MutationTestRecord.query(pool, {}).select({id: 'id'}).returns('id'), {instanceOf: SQL.InvalidOptionCombinationError});
+  t.throws(() => MutationTestRecord.query(pool, {}).select({id: 'id'}).output(SQL.outputType.record), {instanceOf: SQL.IncompatibleOutputSpecifiedError});
+  await t.throwsAsync(MutationTestRecord.query(pool, {}).select({missing: SQL.fn.max('missing')}).run(), {instanceOf: SQL.FieldNotFoundError});
+  await t.throwsAsync(MutationTestRecord.query(pool, {}).groupBy('missing').run(), {instanceOf: SQL.FieldNotFoundError});
+  await t.throwsAsync(MutationTestRecord.query(pool, {}).groupBy('groupKey').having({missing: 1}).run(), {instanceOf: SQL.FieldNotFoundError});
+  await t.throwsAsync(MutationTestRecord.query(pool, {}).groupBy('groupKey').update({label: 'grouped'}), {instanceOf: SQL.InvalidOptionCombinationError});
+  await t.throwsAsync(MutationTestRecord.query(pool, {}).select({id: 'id'}).delete(), {instanceOf: SQL.InvalidOptionCombinationError});
+});
+
+async function paginateAll(query, first, key = 'label') {
+  const pages = [];
+  let after = null;
+  do {
+    const page = await query.paginate({after, first});
+    pages.push(page.rows.map((row) => row[key]));
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+
+  return pages;
+}
+
+test('paginate()', async (t) => {
+  const records = await createMutationRecords('paginate', 5);
+  const labels = records.map((r) => r.label);
+
+  const q = MutationTestRecord.query(pool, {groupKey: 'paginate'});
+  t.deepEqual(await paginateAll(q, 2), [labels.slice(0, 2), labels.slice(2, 4), labels.slice(4)]);
+  t.deepEqual(await paginateAll(q, 5), [labels]);
+
+  const {rows, pageInfo} = await q.paginate({first: 10});
+  t.true(rows[0] instanceof MutationTestRecord);
+  t.is(pageInfo.hasNextPage, false);
+  t.deepEqual(await q.paginate({after: pageInfo.endCursor, first: 10}), {rows: [], pageInfo: {endCursor: null, hasNextPage: false}});
+
+  const descending = MutationTestRecord.query(pool, {groupKey: 'paginate'}).orderBy(['id', SQL.sort.desc]);
+  t.deepEqual(await paginateAll(descending, 3), [labels.slice(2).reverse(), labels.slice(0, 2).reverse()]);
+  t.regex(descending.getSql(null, {keyset: {orderBys: [['id', 'DESC']], after: ['1'], limit: 1}}).query, /\("id"\) < \(\$2\)/);
+  const unfiltered = new SQL.RecordQuery(pool, MutationTestRecord);
+  t.regex(unfiltered.getSql(null, {keyset: {orderBys: [['id', 'ASC']], after: ['1'], limit: 1}}).query, /WHERE \("id"\) > \(\$1\) ORDER BY "id" ASC LIMIT 1$/);
+
+  // Mixed directions with ties, the primary key keeps it stable.
+  await MutationTestRecord.query(pool, {id: [records[0].id, records[2].id, records[4].id]}).update({lockVersion: 1});
+  const mixed = MutationTestRecord.query(pool, SQL.or({groupKey: 'paginate'}, {groupKey: 'paginate-none'}))
+    .orderBy(['lockVersion', SQL.sort.desc], 'groupKey');
+  t.deepEqual(await paginateAll(mixed, 2), [[labels[0], labels[2]], [labels[4], labels[1]], [labels[3]]]);
+});
+
+test('paginate() cursors keep timestamp precision', async (t) => {
+  const q = QueryTestRecord.query(pool, {aNumber: SQL.lessEqual(3)}).orderBy('createdAt');
+  await q.run();
+  const ids = q.map((row) => row.id);
+
+  const pages = await paginateAll(q, 5, 'id');
+  t.deepEqual(pages.map((page) => page.length), [5, 5, 2]);
+  t.deepEqual(pages.flat(), ids);
+});
+
+test.serial('paginate() requires a cursor secret', async (t) => {
+  SQL.cursorSecret = null;
+  try {
+    await t.throwsAsync(MutationTestRecord.query(pool, {}).paginate({first: 1}), {instanceOf: SQL.CursorSecretNotSetError});
+  } finally {
+    SQL.cursorSecret = 'supple-test-cursor-secret';
+  }
+});
+
+test('paginate() validation', async (t) => {
+  await createMutationRecords('paginate-invalid', 2);
+
+  const q = MutationTestRecord.query(pool, {groupKey: 'paginate-invalid'});
+  const {pageInfo: {endCursor}} = await q.paginate({first: 1});
+  const [payload, signature] = endCursor.split('.');
+
+  await t.throwsAsync(q.paginate({first: 0}), {instanceOf: SQL.InvalidOptionValueError});
+  await t.throwsAsync(q.paginate({}), {instanceOf: SQL.InvalidOptionValueError});
+  await t.throwsAsync(MutationTestRecord.query(pool, {}, {stream: true}).paginate({first: 1}), {instanceOf: SQL.UnavailableInStreamModeError});
+  await t.throwsAsync(MutationTestRecord.query(pool, {}, {returns: 'id'}).paginate({first: 1}), {instanceOf: SQL.InvalidOptionCombinationError});
+  await t.throwsAsync(MutationTestRecord.query(pool, {}).limit(1).paginate({first: 1}), {instanceOf: SQL.InvalidOptionCombinationError});
+  await t.throwsAsync(MutationTestRecord.query(pool, {}).offset(1).paginate({first: 1}), {instanceOf: SQL.InvalidOptionCombinationError});
+
+  const otherPayload = Buffer.from(JSON.stringify(['id ASC', ['1']])).toString('base64url');
+  await t.throwsAsync(q.paginate({after: `${otherPayload}.${signature}`, first: 1}), {instanceOf: SQL.InvalidCursorError, message: 'Invalid cursor signature.'});
+  await t.throwsAsync(q.paginate({after: `${payload}.${signature.slice(1)}`, first: 1}), {instanceOf: SQL.InvalidCursorError});
+  await t.throwsAsync(q.paginate({after: `${endCursor}.extra`, first: 1}), {instanceOf: SQL.InvalidCursorError});
+  await t.throwsAsync(q.paginate({after: payload, first: 1}), {instanceOf: SQL.InvalidCursorError});
+  await t.throwsAsync(q.paginate({after: 1, first: 1}), {instanceOf: SQL.InvalidCursorError});
+  await t.throwsAsync(q.orderBy('label').paginate({after: endCursor, first: 1}), {instanceOf: SQL.InvalidCursorError, message: 'Cursor is for a different order.'});
+});
+
+test('forUpdate(), forNoKeyUpdate(), forShare() and forKeyShare()', async (t) => {
+  const records = await createMutationRecords('lock', 3);
+  const q = () => MutationTestRecord.query(pool, {groupKey: 'lock'});
+
+  t.regex(q().forUpdate().getSql().query, / FOR UPDATE$/);
+  t.regex(q().forNoKeyUpdate({noWait: true}).getSql().query, / FOR NO KEY UPDATE NOWAIT$/);
+  t.regex(q().forShare({of: [MutationTestRecord]}).getSql().query, / FOR SHARE OF "supple_test_query_mutation_records"$/);
+  t.regex(q().forKeyShare({skipLocked: true, of: ['other']}).getSql().query, / FOR KEY SHARE OF "other" SKIP LOCKED$/);
+  t.regex(q().limit(1).forUpdate().getSql().query, / LIMIT 1 FOR UPDATE$/);
+  t.false(q().forUpdate().lock(null).getSql().query.includes('FOR'));
+
+  t.throws(() => q().forUpdate({skipLocked: true, noWait: true}), {instanceOf: SQL.InvalidOptionCombinationError});
+  t.throws(() => q().lock({strength: 'invalid'}), {instanceOf: SQL.InvalidOptionValueError});
+  await t.throwsAsync(q().forUpdate().run(), {instanceOf: SQL.LockOutsideTransactionError});
+  await t.throwsAsync(q().forUpdate().count(), {instanceOf: SQL.LockOutsideTransactionError});
+  await t.throwsAsync(q().forUpdate().paginate({first: 1}), {instanceOf: SQL.LockOutsideTransactionError});
+
+  // Job queue style, each worker claims a different row.
+  await SQL.transaction(async (conn) => {
+    const claimQuery = MutationTestRecord.query(conn, {groupKey: 'lock'}, {lock: {strength: SQL.lockStrength.update, skipLocked: true}});
+    await claimQuery.limit(1).run();
+    t.is(claimQuery.rows[0].id, records[0].id);
+
+    await SQL.transaction(async (otherConn) => {
+      const otherQuery = MutationTestRecord.query(otherConn, {groupKey: 'lock'}).limit(1).forUpdate({skipLocked: true});
+      await otherQuery.run();
+      t.is(otherQuery.rows[0].id, records[1].id);
+
+      const page = await MutationTestRecord.query(otherConn, {groupKey: 'lock'}).forShare({skipLocked: true}).paginate({first: 3});
+      t.deepEqual(page.rows.map((row) => row.id), [records[1].id, records[2].id]);
+    }, {pool});
+  }, {pool});
+});
+
 test('debug coverage', async (t) => {
   new SQL.RecordQuery(pool, QueryTestRecord, {debug: true});
   t.true(true);
 });
+
+async function documentTitles(wheres) {
+  const q = DocumentTestRecord.query(pool, wheres).orderBy('id').returns('title');
+  await q.run();
+
+  return q.rows;
+}
+
+test('jsonb comparisons', async (t) => {
+  t.deepEqual(await documentTitles({metadata: SQL.jsonContains({settings: {theme: 'dark'}})}), ['dark']);
+  t.deepEqual(await documentTitles({metadata: SQL.jsonContains({tags: ['b']})}), ['dark', 'light']);
+  t.deepEqual(await documentTitles({metadata: SQL.jsonContainedBy({settings: {theme: 'light', size: 9}, tags: ['b'], count: 1, extra: true})}), ['light', 'bare']);
+  t.deepEqual(await documentTitles({metadata: SQL.hasKey('settings')}), ['dark', 'light']);
+  t.deepEqual(await documentTitles({metadata: SQL.hasAnyKeys(['count', 'missing'])}), ['dark', 'light']);
+  t.deepEqual(await documentTitles({metadata: SQL.hasAllKeys(['count', 'missing'])}), []);
+  t.deepEqual(await documentTitles({metadata: SQL.jsonPathMatch('$.count > 2')}), ['dark']);
+
+  const {query, values} = DocumentTestRecord.query(pool, {metadata: SQL.jsonContains([1])}).getSql(null);
+  t.regex(query, /"metadata" @> \$1::jsonb/);
+  t.deepEqual(values, ['[1]']);
+});
+
+test('jsonb comparisons on json fields', async (t) => {
+  t.deepEqual(await documentTitles({extra: SQL.jsonContains({theme: 'dark'})}), ['dark']);
+  t.deepEqual(await documentTitles({extra: SQL.hasKey('theme')}), ['dark', 'light']);
+  t.deepEqual(await documentTitles({extra: SQL.hasAnyKeys(['sizes'])}), ['dark']);
+  t.deepEqual(await documentTitles({'extra->sizes': SQL.jsonContains([12])}), ['dark']);
+  t.deepEqual(await documentTitles({'extra->theme': 'light'}), ['light']);
+
+  const {query} = DocumentTestRecord.query(pool, {extra: SQL.jsonContains({theme: 'dark'})}).getSql(null);
+  t.regex(query, /"extra"::jsonb @> \$1::jsonb/);
+});
+
+test('json paths', async (t) => {
+  t.deepEqual(await documentTitles({'metadata->settings->theme': 'dark'}), ['dark']);
+  t.deepEqual(await documentTitles({[SQL.jsonPath('metadata', 'settings', 'theme')]: SQL.ilike('LIGHT')}), ['light']);
+  t.deepEqual(await documentTitles({'metadata->>count': '1'}), ['light']);
+  t.deepEqual(await documentTitles({[SQL.jsonPath('metadata', 'tags', 0)]: 'b'}), ['light']);
+  t.deepEqual(await documentTitles({'metadata->settings': SQL.jsonContains({size: 12})}), ['dark']);
+  t.deepEqual(await documentTitles({'metadata->settings': SQL.hasKey('theme'), 'metadata->missing': null}), ['dark', 'light']);
+
+  const {query} = DocumentTestRecord.query(pool, {'metadata->tags->0': 'b'}).getSql(null);
+  t.regex(query, /"metadata"->'tags'->>0 = \$1/);
+
+  const sized = DocumentTestRecord.query(pool, {metadata: SQL.hasKey('settings')})
+    .orderBy([SQL.jsonPath('metadata', 'settings', 'size'), SQL.sort.desc])
+    .returns('title');
+  await sized.run();
+  t.deepEqual(sized.rows, ['dark', 'light']);
+
+  t.throws(() => DocumentTestRecord.query(pool, {'missing->theme': 'dark'}).getSql(null), {instanceOf: SQL.FieldNotFoundError});
+});
+
+test('array fields', async (t) => {
+  t.deepEqual(await documentTitles({tags: ['a', 'b']}), ['dark']);
+  t.deepEqual(await documentTitles({tags: []}), ['bare']);
+  t.deepEqual(await documentTitles({tags: SQL.notEqual(new Set(['b']))}), ['dark', 'bare']);
+  t.deepEqual(await documentTitles({tags: SQL.arrayContains(['b'])}), ['dark', 'light']);
+  t.deepEqual(await documentTitles({tags: SQL.arrayContainedBy(['b', 'c'])}), ['light', 'bare']);
+  t.deepEqual(await documentTitles({scores: SQL.arrayOverlaps([2, 3])}), ['dark', 'light']);
+  t.deepEqual(await documentTitles({tags: SQL.in([['b'], []])}), ['light', 'bare']);
+  t.deepEqual(await documentTitles({tags: SQL.like('%a%')}), ['dark']);
+
+  const {query, values} = DocumentTestRecord.query(pool, {scores: SQL.arrayContains([1])}).getSql(null);
+  t.regex(query, /"scores" @> \$1::integer\[\]/);
+  t.deepEqual(values, [[1]]);
+
+  const [dark] = await DocumentTestRecord.find(pool, {title: 'dark'});
+  t.deepEqual(dark.tags, ['a', 'b']);
+  dark.tags = ['a', 'b', 'c'];
+  await dark.save();
+  t.deepEqual(await documentTitles({tags: SQL.arrayContains(['c'])}), ['dark']);
+  dark.tags = ['a', 'b'];
+  await dark.save();
+});
+
+test('any and all bind a single array', async (t) => {
+  const ids = await DocumentTestRecord.query(pool, {title: ['dark', 'light']}).returns('id');
+  await ids.run();
+
+  t.deepEqual(await documentTitles({id: SQL.any(ids.rows)}), ['dark', 'light']);
+  t.deepEqual(await documentTitles({id: SQL.notAll(new Set(ids.rows))}), ['bare', 'null']);
+
+  const {query, values} = DocumentTestRecord.query(pool, {id: SQL.any([1, 2, 3])}).getSql(null);
+  t.regex(query, /"id" = ANY \(\$1\)/);
+  t.deepEqual(values, [[1, 2, 3]]);
+});
+
+async function articleTitles(wheres, orderByRank = null) {
+  const q = ArticleTestRecord.query(pool, wheres).returns('title');
+  if (orderByRank) {
+    q.orderByRank(...orderByRank);
+  }
+  q.orderBy('id');
+  await q.run();
+
+  return q.rows;
+}
+
+test('textSearch()', async (t) => {
+  t.deepEqual(await articleTitles({search: SQL.textSearch('cats')}), ['cats', 'both']);
+  t.deepEqual(await articleTitles({search: SQL.textSearch('sleeping cat', {config: 'english'})}), ['cats', 'both']);
+  t.deepEqual(await articleTitles({search: SQL.textSearch('cat chased', {mode: SQL.textSearchMode.phrase})}), ['both']);
+  t.deepEqual(await articleTitles({search: SQL.textSearch('dog & !cat', {mode: SQL.textSearchMode.raw})}), ['dogs']);
+  t.deepEqual(await articleTitles({search: SQL.textSearch('sleeping -dog', {config: 'english', mode: SQL.textSearchMode.websearch})}), ['cats']);
+  t.deepEqual(await articleTitles({body: SQL.textSearch('running', {config: 'english'})}), ['dogs']);
+  t.deepEqual(await articleTitles({title: 'both', search: SQL.textSearch('dogs')}), ['both']);
+
+  const {query, values} = ArticleTestRecord.query(pool, {title: 'x', search: SQL.textSearch('cats -dogs', {config: 'english', mode: SQL.textSearchMode.websearch})}).getSql(null);
+  t.regex(query, /"search" @@ websearch_to_tsquery\(\$2, \$3\)/);
+  t.deepEqual(values, ['x', 'english', 'cats -dogs']);
+
+  const {query: bodyQuery} = ArticleTestRecord.query(pool, {body: SQL.textSearch('cats')}).getSql(null);
+  t.regex(bodyQuery, /to_tsvector\("body"\) @@ plainto_tsquery\(\$1\)/);
+
+  t.throws(() => SQL.textSearch('cats', {mode: 'fuzzy'}), {instanceOf: SQL.InvalidOptionValueError});
+});
+
+test('orderByRank(), rank() and headline()', async (t) => {
+  const sleeping = SQL.textSearch('sleeping', {config: 'english'});
+  t.deepEqual(await articleTitles({search: sleeping}, ['search', sleeping]), ['cats', 'both']);
+  t.deepEqual(await articleTitles({search: SQL.textSearch('dog')}, ['body', 'dog']), ['dogs', 'both']);
+
+  const q = ArticleTestRecord.query(pool, {search: sleeping})
+    .select({
+      title: 'title',
+      rank: SQL.rank('search', sleeping),
+      snippet: SQL.headline('body', sleeping, {maxWords: 4, minWords: 2, startSel: '<b>', stopSel: '</b>'}),
+      plain: SQL.headline('title', 'cats'),
+    })
+    .orderBy(['rank', SQL.sort.desc]);
+  await q.run();
+  const rows = Array.from(q);
+  t.deepEqual(rows.map((row) => row.title), ['cats', 'both']);
+  t.true(rows[0].rank > rows[1].rank);
+  t.regex(rows[0].snippet, /<b>sleeping<\/b>/);
+  t.deepEqual(rows.map((row) => row.plain), ['<b>cats</b>', 'both']);
+
+  const {query} = q.getSql(null);
+  t.regex(query, /ts_rank\("search", plainto_tsquery\('english'::regconfig, 'sleeping'\)\)/);
+  t.regex(query, /'MaxWords="4", MinWords="2", StartSel="<b>", StopSel="<\/b>"'/);
+
+  await t.throwsAsync(() => ArticleTestRecord.query(pool, {search: sleeping}).orderByRank('search', sleeping).paginate({first: 1}), {instanceOf: SQL.InvalidOptionCombinationError});
+});
+
+async function bookingTitles(wheres) {
+  const q = BookingTestRecord.query(pool, wheres).orderBy('id').returns('title');
+  await q.run();
+
+  return q.rows;
+}
+
+test('range fields load and save', async (t) => {
+  const q = BookingTestRecord.query(pool, {}).orderBy('id');
+  await q.run();
+  const [morning, afternoon, open] = Array.from(q);
+  t.deepEqual(morning.during, {lower: new Date('2024-01-01T09:00:00Z'), upper: new Date('2024-01-01T12:00:00Z'), lowerInclusive: true, upperInclusive: false});
+  t.deepEqual(morning.days, {lower: '2024-01-01', upper: '2024-01-02', lowerInclusive: true, upperInclusive: false});
+  t.deepEqual(morning.seats, {lower: 1, upper: 11, lowerInclusive: true, upperInclusive: false});
+  t.deepEqual(morning.budget, {lower: '0.5', upper: null, lowerInclusive: true, upperInclusive: false});
+  t.deepEqual(morning.serials, {lower: '9007199254740993', upper: '9007199254741000', lowerInclusive: true, upperInclusive: false});
+  t.deepEqual(afternoon.budget, {lower: null, upper: null, lowerInclusive: false, upperInclusive: false, empty: true});
+  t.is(afternoon.serials, null);
+  t.is(open.during.upper, Infinity);
+  t.is(q.rows[3].during.lower, -Infinity);
+  t.false(morning.isDirty());
+
+  const booking = new BookingTestRecord(pool, {title: 'saved', during: '[2024-01-02 09:00:00+00,2024-01-02 10:00:00+00)'});
+  await booking.save();
+  t.deepEqual(booking.during.lower, new Date('2024-01-02T09:00:00Z'));
+
+  booking.during = {lower: new Date('2024-01-02T10:00:00Z'), upper: new Date('2024-01-02T11:00:00Z'), upperInclusive: true};
+  booking.budget = {lower: '1', upper: '2', lowerInclusive: false};
+  await booking.save({enforcePrev: true});
+  const reloaded = await BookingTestRecord.findByPk(pool, booking.id);
+  t.deepEqual(reloaded.during, {lower: new Date('2024-01-02T10:00:00Z'), upper: new Date('2024-01-02T11:00:00Z'), lowerInclusive: true, upperInclusive: true});
+  t.deepEqual(reloaded.budget, {lower: '1', upper: '2', lowerInclusive: false, upperInclusive: false});
+
+  const updated = await BookingTestRecord.query(pool, {id: booking.id}).update({budget: '(,)'}, {returning: true});
+  t.deepEqual(updated[0].budget, {lower: null, upper: null, lowerInclusive: false, upperInclusive: false});
+
+  const err = await t.throwsAsync(new BookingTestRecord(pool, {title: 'overlap', during: {lower: new Date('2024-01-01T11:00:00Z'), upper: new Date('2024-01-01T13:00:00Z')}}).save(), {instanceOf: SQL.ExclusionViolationError});
+  t.is(err.field, 'during');
+
+  await booking.delete();
+});
+
+test('range comparisons and between()', async (t) => {
+  const noon = new Date('2024-01-01T12:00:00Z');
+  t.deepEqual(await bookingTitles({during: SQL.overlaps({lower: new Date('2024-01-01T11:00:00Z'), upper: new Date('2024-01-01T13:00:00Z')})}), ['morning', 'afternoon']);
+  t.deepEqual(await bookingTitles({during: SQL.rangeContains(noon)}), ['afternoon']);
+  t.deepEqual(await bookingTitles({during: SQL.rangeContains('[2024-01-01 10:00:00+00,2024-01-01 11:00:00+00)')}), ['morning']);
+  t.deepEqual(await bookingTitles({during: SQL.containedBy({lower: new Date('2024-01-01T00:00:00Z'), upper: new Date('2024-01-02T00:00:00Z')})}), ['morning', 'afternoon']);
+  t.deepEqual(await bookingTitles({during: SQL.adjacent({lower: new Date('2024-01-01T17:00:00Z'), upper: new Date('2024-02-01T00:00:00Z')})}), ['afternoon', 'open']);
+  t.deepEqual(await bookingTitles({seats: SQL.rangeContains(15), days: SQL.rangeContains('2024-01-02')}), ['afternoon']);
+  t.deepEqual(await bookingTitles({seats: {lower: 1, upper: 10, upperInclusive: true}}), ['morning']);
+  t.deepEqual(await bookingTitles({budget: {empty: true}}), ['afternoon']);
+  t.deepEqual(await bookingTitles({startsAt: SQL.containedBy({lower: noon, upper: null})}), ['afternoon', 'open']);
+  t.deepEqual(await bookingTitles({id: SQL.containedBy('[1,2]'), title: SQL.like('%o%')}), ['morning', 'afternoon']);
+  t.deepEqual(await bookingTitles({startsAt: SQL.between(new Date('2024-01-01T09:00:00Z'), noon)}), ['morning', 'afternoon']);
+  t.deepEqual(await bookingTitles({title: SQL.between('a', 'n')}), ['morning', 'afternoon']);
+  t.deepEqual(await bookingTitles({during: SQL.like('%infinity%')}), ['open', 'past']);
+
+  const {query, values} = BookingTestRecord.query(pool, {title: 'x', startsAt: SQL.between(1, 2), during: SQL.rangeContains(noon), seats: SQL.overlaps({lower: 1, upper: 2})}).getSql(null);
+  t.regex(query, /"starts_at" BETWEEN \$2 AND \$3/);
+  t.regex(query, /"during" @> \$4::timestamptz/);
+  t.regex(query, /"seats" && \$5::int4range/);
+  t.deepEqual(values, ['x', 1, 2, noon, '["1","2")']);
+
+  const {query: textQuery} = BookingTestRecord.query(pool, {title: SQL.containedBy('[a,b)')}).getSql(null);
+  t.regex(textQuery, /"title" <@ \$1 /);
+
+  t.throws(() => BookingTestRecord.query(pool, {startsAt: new SQL.Value([1], {comparison: SQL.comparison.between, bind: true})}).getSql(null), {instanceOf: SQL.WhereParserError});
+  const {query: unboundQuery} = BookingTestRecord.query(pool, {id: new SQL.Value('1 AND 2', {comparison: SQL.comparison.between})}).getSql(null);
+  t.regex(unboundQuery, /"id" BETWEEN 1 AND 2/);
+});
+
+test('field references and expressions', async (t) => {
+  t.is(await QueryTestRecord.query(pool, {optionalAt: SQL.field('createdAt')}).count(), 400);
+  t.is(await QueryTestRecord.query(pool, {optionalAt: SQL.greater(SQL.field('createdAt'))}).count(), 0);
+  t.is(await QueryTestRecord.query(pool, {aNumber: SQL.fn.add(SQL.field('aNumber'), 0), email: SQL.like('query-test-5-%')}).count(), 3);
+  t.is(await QueryTestRecord.query(pool, new Map([[SQL.fn.upper(SQL.field('email')), 'QUERY-TEST-1-0@EXAMPLE.COM']])).count(), 1);
+  t.is(await QueryTestRecord.query(pool, new Map([[SQL.fn.multiply(SQL.field('aNumber'), 2), SQL.or(4, 6)]])).count(), 6);
+  t.is(await QueryTestRecord.query(pool, {createdAt: SQL.greaterEqual(SQL.fn.dateTrunc('day', SQL.field('createdAt'))), aNumber: 1}).count(), 3);
+
+  const selected = QueryTestRecord.query(pool, {email: SQL.like('query-test-7-%')})
+    .select({flag: SQL.fn.coalesce(SQL.field('aFlag'), false), previous: SQL.fn.subtract(SQL.field('aNumber'), 1), constant: SQL.fn.lower(SQL.literal('EMAIL')), upper: SQL.fn.upper('email')})
+    .orderBy('email');
+  await selected.run();
+  t.deepEqual(Array.from(selected), [
+    {flag: false, previous: 6, constant: 'email', upper: 'QUERY-TEST-7-0@EXAMPLE.COM'},
+    {flag: true, previous: 6, constant: 'email', upper: 'QUERY-TEST-7-1@EXAMPLE.COM'},
+    {flag: false, previous: 6, constant: 'email', upper: 'QUERY-TEST-7-2@EXAMPLE.COM'},
+  ]);
+
+  const ordered = QueryTestRecord.query(pool, {email: SQL.like('query-test-1_-0@%')})
+    .orderBy([SQL.fn.divide(SQL.field('aNumber'), -1), SQL.sort.asc])
+    .returns('aNumber');
+  await ordered.run();
+  t.deepEqual(ordered.rows, [19, 18, 17, 16, 15, 14, 13, 12, 11, 10]);
+
+  const since = new Date('2024-01-01T00:00:00Z');
+  const {query, values} = QueryTestRecord.query(pool, new Map([
+    ['displayName', 'x'],
+    ['optionalAt', SQL.fn.coalesce('createdAt', since, null)],
+    ['aNumber', SQL.greater(SQL.fn.add('aNumber', SQL.literal(1.5, 'numeric')))],
+    [SQL.fn.lower('email'), SQL.fn.lower(SQL.literal("it's"))],
+  ])).select({
+    flag: SQL.fn.coalesce('aFlag', true),
+    since: SQL.fn.coalesce('optionalAt', since),
+    big: SQL.fn.add('aNumber', 10n),
+    quoted: SQL.literal("it's", 'text'),
+  }).getSql(null);
+  t.regex(query, /"optional_at" = coalesce\("created_at", \$2, NULL\)/);
+  t.regex(query, /"a_number" > \("a_number" \+ \$3::numeric\)/);
+  t.regex(query, /lower\("email"\) = lower\(\$4\)/);
+  t.regex(query, /coalesce\("a_flag", TRUE\) AS "flag"/);
+  t.regex(query, /coalesce\("optional_at", '2024-01-01T00:00:00.000Z'\) AS "since"/);
+  t.regex(query, /\("a_number" \+ 10\) AS "big"/);
+  t.regex(query, /'it''s'::text AS "quoted"/);
+  t.deepEqual(values, ['x', since, 1.5, "it's"]);
+  t.is(await QueryTestRecord.query(pool, new Map([
+    [SQL.fn.lower('email'), SQL.fn.lower(SQL.literal('QUERY-TEST-3-0@EXAMPLE.COM'))],
+    ['aNumber', SQL.less(SQL.fn.add('aNumber', SQL.literal(1.5, 'numeric')))],
+  ])).count(), 1);
+
+  t.throws(() => SQL.field(), {instanceOf: SQL.MissingRequiredArgError});
+  t.throws(() => QueryTestRecord.query(pool, {aNumber: SQL.fn.add(1, NaN)}).getSql(null), {instanceOf: SQL.InvalidOptionValueError});
+  t.throws(() => QueryTestRecord.query(pool, {aNumber: SQL.fn.add(1, {})}).getSql(null), {instanceOf: SQL.InvalidOptionValueError});
+  t.throws(() => QueryTestRecord.query(pool, {aNumber: SQL.field('missing')}).getSql(null), {instanceOf: SQL.FieldNotFoundError});
+});
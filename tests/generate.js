@@ -56,6 +56,34 @@ test.before(async () => {
         PRIMARY KEY (id, key)
       )
     `);
+
+    await dropTables(conn, ['supple_test_generate_defaults']);
+    await conn.query(`
+      CREATE TABLE supple_test_generate_defaults (
+        id SERIAL PRIMARY KEY,
+        hits INTEGER NOT NULL DEFAULT 0,
+        active BOOLEAN NOT NULL DEFAULT false,
+        visible BOOLEAN NOT NULL DEFAULT true
+      )
+    `);
+
+    await dropTables(conn, ['supple_test_generate_arrays']);
+    await conn.query(`
+      CREATE TABLE supple_test_generate_arrays (
+        id SERIAL PRIMARY KEY,
+        tags TEXT[] NOT NULL,
+        scores INT4[],
+        codes VARCHAR(8)[]
+      )
+    `);
+
+    await conn.query('CREATE SCHEMA IF NOT EXISTS supple_test_generate_schema');
+    await dropTables(conn, ['supple_test_generate_schema.supple_test_generate_schema_test']);
+    await conn.query(`
+      CREATE TABLE supple_test_generate_schema.supple_test_generate_schema_test (
+        id SERIAL PRIMARY KEY
+      )
+    `);
   }, {pool});
 });
 
@@ -72,3 +100,42 @@ test('the black box looks good', async (t) => {
   t.deepEqual(defaultPool, expectedGenerated);
   SQL.setDefaultPool(null);
 });
+
+test('non-public schemas are included', async (t) => {
+  const generated = await SQL.generateRecord(pool, 'supple_test_generate_schema_test', 'supple_test_generate_schema');
+  t.is(generated.content, [
+    'class SuppleTestGenerateSchemaTest extends SQL.Record {',
+    '  static fields = {',
+    '    id: {type: SQL.type.integer, nullable: false}',
+    '  };',
+    '  static primaryKeyFields = [\'id\'];',
+    '  static schema = \'supple_test_generate_schema\';',
+    '  static table = \'supple_test_generate_schema_test\';',
+    '}',
+  ].join('\n'));
+});
+
+test('array types', async (t) => {
+  const generated = await SQL.generateRecord(pool, 'supple_test_generate_arrays');
+  t.true(generated.content.includes([
+    '    id: {type: SQL.type.integer, nullable: false},',
+    '    tags: {type: SQL.type.array(SQL.type.text), nullable: false},',
+    '    scores: {type: SQL.type.array(SQL.type.integer)},',
+    '    codes: {type: \'varchar[]\'}',
+  ].join('\n')));
+});
+
+test('falsy defaults are typed and generated records save', async (t) => {
+  const generated = await SQL.generateRecord(pool, 'supple_test_generate_defaults');
+  t.true(generated.content.includes([
+    '    id: {type: SQL.type.integer, nullable: false},',
+    '    hits: {type: SQL.type.integer, nullable: false, defaultValue: 0},',
+    '    active: {type: SQL.type.boolean, nullable: false, defaultValue: false},',
+    '    visible: {type: SQL.type.boolean, nullable: false, defaultValue: true}',
+  ].join('\n')));
+
+  const GeneratedRecord = new Function('SQL', `return ${generated.content};`)(SQL);
+  const record = new GeneratedRecord(pool);
+  t.true(await record.save());
+  t.like(record.data(), {hits: 0, active: false, visible: true});
+});
@@ -38,6 +38,15 @@ test.before(async () => {
         value TEXT
       )
     `);
+
+    await conn.query(`
+      CREATE OR REPLACE FUNCTION supple_test_raise(code TEXT) RETURNS TEXT LANGUAGE plpgsql AS $$
+      BEGIN
+        RAISE EXCEPTION 'Raised %', code USING ERRCODE = code;
+      END $$
+    `);
+    // findRaising() needs a row to compare against.
+    await conn.query(`INSERT INTO ${GenericRecord.table} (value) VALUES ('Raise')`);
   }, {pool});
 });
 
@@ -129,6 +138,12 @@ test.serial('default pool works', async (t) => {
   const findResult = await findPromise;
   t.deepEqual(findResult.map(r => r.data()), [aData]);
 
+  const insertManyResult = await GenericRecord.insertMany([{value}]);
+  t.is(insertManyResult[0].value, value);
+
+  const upsertResult = await GenericRecord.upsert({id: insertManyResult[0].id, value}, {target: 'id'});
+  t.is(upsertResult.id, insertManyResult[0].id);
+
   const expectedConn = await testPool.connect();
   expectedConn.release();
 
@@ -143,6 +158,126 @@ test.serial('default pool works', async (t) => {
   SQL.setDefaultPool(null);
 });
 
+test.serial('ambient connection', async (t) => {
+  const testPool = createTestPool(2);
+  SQL.setDefaultPool(testPool);
+  SQL.useAmbientConnection = true;
+
+  const value = 'Ambient';
+
+  try {
+    await t.throwsAsync(SQL.transaction(async (conn) => {
+      const backendPid = (await conn.query('SELECT pg_backend_pid() pid')).rows[0].pid;
+      t.is((await SQL.query('SELECT pg_backend_pid() pid')).rows[0].pid, backendPid);
+
+      await new GenericRecord({value}).save();
+      await GenericRecord.insertMany([{value}]);
+      t.is((await GenericRecord.find({value})).length, 2);
+      t.is(await GenericRecord.query({value}).count(), 2);
+      t.is(await GenericRecord.query({value}).update({value: value + ' Updated'}), 2);
+
+      await SQL.connected(async (connectedConn) => {
+        t.is(connectedConn, conn);
+      }, {autoDestroyConn: true});
+
+      await t.throwsAsync(SQL.transaction(async () => {
+        await GenericRecord.query({value: value + ' Updated'}).delete();
+        throw new Error('Savepoint Rollback');
+      }, {nested: SQL.nestedTransaction.savepoint, autoDestroyConn: true}), {message: 'Savepoint Rollback'});
+      t.is((await GenericRecord.find({value: value + ' Updated'})).length, 2);
+
+      throw new Error('Ambient Rollback');
+    }), {message: 'Ambient Rollback'});
+
+    // Everything ran on the transaction's connection, so it was all rolled back and no others were checked out.
+    t.is((await GenericRecord.find(pool, {value: value + ' Updated'})).length, 0);
+    t.is(testPool.totalCount, 1);
+  } finally {
+    SQL.useAmbientConnection = false;
+    SQL.setDefaultPool(null);
+  }
+});
+
+test.serial('ambient connection ends with its scope', async (t) => {
+  const testPool = createTestPool(2);
+  SQL.setDefaultPool(testPool);
+  SQL.useAmbientConnection = true;
+
+  try {
+    let startLate;
+    const lateStarted = new Promise((resolve) => {
+      startLate = resolve;
+    });
+    let late;
+    await SQL.transaction(async () => {
+      late = lateStarted.then(() => SQL.query('SELECT current_setting(\'supple_test.marker\', true) marker'));
+    });
+
+    // The next transaction reuses the same connection, the late query from the first mustn't run inside it.
+    await SQL.transaction(async (conn) => {
+      await conn.query('SELECT set_config(\'supple_test.marker\', \'second\', true)');
+      startLate();
+      t.not((await late).rows[0].marker, 'second');
+    });
+  } finally {
+    SQL.useAmbientConnection = false;
+    SQL.setDefaultPool(null);
+  }
+});
+
+test.serial('ambient connection is opt-in', async (t) => {
+  const testPool = createTestPool(2);
+  SQL.setDefaultPool(testPool);
+
+  try {
+    await SQL.transaction(async (conn) => {
+      const backendPid = (await conn.query('SELECT pg_backend_pid() pid')).rows[0].pid;
+      t.not((await SQL.query('SELECT pg_backend_pid() pid')).rows[0].pid, backendPid);
+    });
+  } finally {
+    SQL.setDefaultPool(null);
+  }
+});
+
+test.serial('ambient connection doesn\'t replace explicit pools', async (t) => {
+  const testPool = createTestPool(1);
+  const otherPool = createTestPool(1);
+  SQL.setDefaultPool(testPool);
+  SQL.useAmbientConnection = true;
+
+  const value = 'Ambient Other Pool';
+
+  try {
+    await t.throwsAsync(SQL.transaction(async (conn) => {
+      const backendPid = (await conn.query('SELECT pg_backend_pid() pid')).rows[0].pid;
+      t.not((await SQL.query('SELECT pg_backend_pid() pid', null, {pool: otherPool})).rows[0].pid, backendPid);
+      await SQL.connected(async (otherConn) => {
+        t.not(otherConn, conn);
+      }, {pool: otherPool});
+      await SQL.transaction(async (otherConn) => {
+        t.not(otherConn, conn);
+      }, {pool: otherPool});
+
+      await new GenericRecord({value}).save();
+      const otherRecord = new GenericRecord({value});
+      otherRecord.setPool(otherPool);
+      await otherRecord.save();
+
+      // The other pool's connection can't see the uncommitted row from the ambient transaction.
+      t.is((await GenericRecord.find({value})).length, 2);
+      t.is((await GenericRecord.find(otherPool, {value})).length, 1);
+      t.is(await GenericRecord.query(otherPool, {value}).count(), 1);
+
+      throw new Error('Ambient Rollback');
+    }), {message: 'Ambient Rollback'});
+
+    t.is((await GenericRecord.find(pool, {value})).length, 1);
+  } finally {
+    SQL.useAmbientConnection = false;
+    SQL.setDefaultPool(null);
+  }
+});
+
 test.serial('no default pool fails as expected', async (t) => {
   const r = new GenericRecord();
   r.id = 1;
@@ -246,6 +381,230 @@ test('nested transaction allowed with flag', async (t) => {
   }, {pool});
 });
 
+test('nested savepoint transaction isolates inner failures', async (t) => {
+  const value = 'Savepoint Outer';
+
+  await SQL.transaction(async (conn) => {
+    await new GenericRecord(conn, {value}).save();
+
+    await t.throwsAsync(SQL.transaction(async () => {
+      await new GenericRecord(conn, {value: 'Savepoint Inner Failure'}).save();
+      await conn.query('SELECT * FROM this_does_not_exist');
+    }, {conn, nested: SQL.nestedTransaction.savepoint}), {instanceOf: PG.DatabaseError});
+
+    t.is(await SQL.transaction(async () => {
+      await new GenericRecord(conn, {value: 'Savepoint Inner Success'}).save();
+
+      await t.throwsAsync(SQL.transaction(async () => {
+        throw new Error('Savepoint Innermost Failure');
+      }, {conn, nested: SQL.nestedTransaction.savepoint}), {message: 'Savepoint Innermost Failure'});
+
+      return true;
+    }, {conn, nested: SQL.nestedTransaction.savepoint}), true);
+  }, {pool});
+
+  t.is((await GenericRecord.find(pool, {value})).length, 1);
+  t.is((await GenericRecord.find(pool, {value: 'Savepoint Inner Failure'})).length, 0);
+  t.is((await GenericRecord.find(pool, {value: 'Savepoint Inner Success'})).length, 1);
+});
+
+test('nested savepoint without an open transaction is a regular transaction', async (t) => {
+  await SQL.connected(async (conn) => {
+    await t.throwsAsync(SQL.transaction(async () => {
+      await new GenericRecord(conn, {value: 'Savepoint Without Transaction'}).save();
+      throw new Error('Rolled back');
+    }, {conn, nested: SQL.nestedTransaction.savepoint}));
+  }, {pool});
+
+  t.is((await GenericRecord.find(pool, {value: 'Savepoint Without Transaction'})).length, 0);
+});
+
+test('nested savepoint statement timeout', async (t) => {
+  const shortTimeoutPool = createTestPool(1, {statement_timeout: 10});
+
+  await SQL.transaction(async (conn) => {
+    await t.throwsAsync(SQL.transaction(async () => {
+      return conn.query('SELECT pg_sleep(20)');
+    }, {conn, nested: SQL.nestedTransaction.savepoint}), {instanceOf: SQL.StatementTimeoutError});
+
+    // The outer transaction is still usable.
+    t.is((await conn.query('SELECT 1 one')).rows[0].one, 1);
+  }, {pool: shortTimeoutPool});
+});
+
+test('invalid nested option throws InvalidOptionValueError', async (t) => {
+  await t.throwsAsync(SQL.transaction(async () => {}, {pool, nested: 'invalid'}), {instanceOf: SQL.InvalidOptionValueError});
+});
+
+test('transaction isolationLevel, readOnly and deferrable', async (t) => {
+  const settings = await SQL.transaction(async (conn) => {
+    const isolation = (await conn.query('SHOW transaction_isolation')).rows[0].transaction_isolation;
+    const readOnly = (await conn.query('SHOW transaction_read_only')).rows[0].transaction_read_only;
+    const deferrable = (await conn.query('SHOW transaction_deferrable')).rows[0].transaction_deferrable;
+    await t.throwsAsync(new GenericRecord(conn, {value: 'Read Only Write'}).save(), {instanceOf: PG.DatabaseError});
+    return {isolation, readOnly, deferrable};
+  }, {pool, isolationLevel: SQL.isolationLevel.serializable, readOnly: true, deferrable: true});
+
+  t.deepEqual(settings, {isolation: 'serializable', readOnly: 'on', deferrable: 'on'});
+
+  t.is(await SQL.transaction(async (conn) => {
+    return (await conn.query('SHOW transaction_isolation')).rows[0].transaction_isolation;
+  }, {pool, isolationLevel: SQL.isolationLevel.repeatableRead}), 'repeatable read');
+});
+
+test('transaction mode options are validated', async (t) => {
+  await t.throwsAsync(SQL.transaction(async () => {}, {pool, isolationLevel: 'invalid'}), {instanceOf: SQL.InvalidOptionValueError});
+  await t.throwsAsync(SQL.transaction(async () => {}, {pool, deferrable: true}), {instanceOf: SQL.InvalidOptionCombinationError});
+  await t.throwsAsync(SQL.transaction(async () => {}, {
+    pool,
+    isolationLevel: SQL.isolationLevel.serializable,
+    deferrable: true,
+  }), {instanceOf: SQL.InvalidOptionCombinationError});
+
+  await SQL.transaction(async (conn) => {
+    await t.throwsAsync(SQL.transaction(async () => {}, {
+      conn,
+      nested: SQL.nestedTransaction.savepoint,
+      readOnly: true,
+    }), {instanceOf: SQL.InvalidOptionCombinationError});
+
+    // The outer transaction is untouched.
+    t.is((await conn.query('SELECT 1 one')).rows[0].one, 1);
+  }, {pool});
+});
+
+const raiseSerializationFailure = 'DO $$ BEGIN RAISE EXCEPTION \'Forced Serialization Failure\' USING ERRCODE = \'40001\'; END $$';
+
+// Queried by a Record, so the error is translated.
+function findRaising(conn, code) {
+  return GenericRecord.find(conn, {value: new SQL.Value(`supple_test_raise('${code}')`)});
+}
+
+test('transaction retry re-runs the callback on serialization failures', async (t) => {
+  const value = 'Retry Success';
+  const retries = [];
+  let calls = 0;
+
+  const result = await SQL.transaction(async (conn) => {
+    calls++;
+    await new GenericRecord(conn, {value}).save();
+    if (calls < 3) {
+      await conn.query(raiseSerializationFailure);
+    }
+    return calls;
+  }, {
+    pool,
+    isolationLevel: SQL.isolationLevel.serializable,
+    retry: {backoffMs: 1, onRetry: (err, {attempt, delayMs}) => retries.push({code: err.code, attempt, delayMs})},
+  });
+
+  t.is(result, 3);
+  t.deepEqual(retries.map(({code, attempt}) => ({code, attempt})), [{code: '40001', attempt: 1}, {code: '40001', attempt: 2}]);
+  t.true(retries.every(({delayMs}) => delayMs >= 0 && delayMs <= 2));
+  t.is((await GenericRecord.find(pool, {value})).length, 1);
+});
+
+test('transaction retry gives up after the configured attempts', async (t) => {
+  let calls = 0;
+
+  const err = await t.throwsAsync(SQL.transaction(async (conn) => {
+    calls++;
+    await findRaising(conn, '40001');
+  }, {pool, retry: {attempts: 2, backoffMs: 0}}), {instanceOf: SQL.SerializationFailureError});
+
+  t.true(err instanceof SQL.TransactionRollbackError);
+  t.is(err.code, '40001');
+  t.true(err.cause instanceof PG.DatabaseError);
+  t.is(calls, 2);
+
+  // Raw queries keep node-pg's error.
+  const rawErr = await t.throwsAsync(SQL.transaction(async (conn) => {
+    await conn.query(raiseSerializationFailure);
+  }, {pool, retry: {attempts: 1}}), {instanceOf: PG.DatabaseError});
+  t.is(rawErr.code, '40001');
+});
+
+test('transaction retry reuses a passed conn and ignores other errors', async (t) => {
+  let calls = 0;
+
+  await SQL.connected(async (conn) => {
+    t.is(await SQL.transaction(async (txConn) => {
+      t.is(txConn, conn);
+      calls++;
+      if (calls === 1) {
+        await conn.query(raiseSerializationFailure);
+      }
+      return true;
+    }, {conn, retry: {backoffMs: 0}}), true);
+
+    await t.throwsAsync(SQL.transaction(async () => {
+      calls++;
+      await conn.query('SELECT * FROM this_does_not_exist');
+    }, {conn, retry: {backoffMs: 0}}), {instanceOf: PG.DatabaseError});
+  }, {pool});
+
+  t.is(calls, 3);
+});
+
+test('transaction retry translates statement timeouts once exhausted', async (t) => {
+  const shortTimeoutPool = createTestPool(1, {statement_timeout: 10});
+  let calls = 0;
+
+  await t.throwsAsync(SQL.transaction(async (conn) => {
+    calls++;
+    return conn.query('SELECT pg_sleep(20)');
+  }, {pool: shortTimeoutPool, retry: {attempts: 2, backoffMs: 0, on: ['57014']}}), {instanceOf: SQL.StatementTimeoutError});
+
+  t.is(calls, 2);
+});
+
+test('transaction retry options are validated', async (t) => {
+  await t.throwsAsync(SQL.transaction(async () => {}, {pool, retry: {attempts: 0}}), {instanceOf: SQL.InvalidOptionValueError});
+  await t.throwsAsync(SQL.transaction(async () => {}, {pool, retry: {backoffMs: -1}}), {instanceOf: SQL.InvalidOptionValueError});
+  await t.throwsAsync(SQL.transaction(async () => {}, {pool, retry: {on: '40001'}}), {instanceOf: SQL.InvalidOptionValueError});
+
+  await SQL.connected(async (conn) => {
+    await t.throwsAsync(SQL.transaction(async () => {}, {conn, autoDestroyConn: true, retry: {}}), {instanceOf: SQL.InvalidOptionCombinationError});
+  }, {pool});
+
+  await SQL.transaction(async (conn) => {
+    await t.throwsAsync(SQL.transaction(async () => {}, {
+      conn,
+      nested: SQL.nestedTransaction.savepoint,
+      retry: {},
+    }), {instanceOf: SQL.InvalidOptionCombinationError});
+  }, {pool});
+});
+
+test('only Record and query errors are translated', async (t) => {
+  await t.throwsAsync(SQL.transaction(async (conn) => {
+    await findRaising(conn, '40P01');
+  }, {pool}), {instanceOf: SQL.DeadlockDetectedError});
+  // Raised from a trigger or function, without any detail to parse.
+  const raisedErr = await t.throwsAsync(findRaising(pool, '23505'), {instanceOf: SQL.UniqueViolationError});
+  t.deepEqual(raisedErr.columns, []);
+  // Errors not from the db pass through.
+  const brokenConn = await pool.connect();
+  const query = brokenConn.query;
+  brokenConn.query = async () => {
+    throw new Error('Not From The DB');
+  };
+  try {
+    await t.throwsAsync(GenericRecord.find(brokenConn, {value: 'Broken'}), {message: 'Not From The DB'});
+  } finally {
+    brokenConn.query = query;
+    brokenConn.release();
+  }
+
+  const err = await t.throwsAsync(SQL.connected(async (conn) => {
+    await conn.query(`INSERT INTO ${GenericRecord.table} (id) VALUES (NULL)`);
+  }, {pool}), {instanceOf: PG.DatabaseError});
+  t.is(err.code, '23502');
+  t.is(err.column, 'id');
+  const rawErr = await t.throwsAsync(SQL.query('DO $$ BEGIN RAISE EXCEPTION \'Raised Duplicate\' USING ERRCODE = \'23505\'; END $$', null, {pool}), {instanceOf: PG.DatabaseError});
+  t.is(rawErr.code, '23505');
+});
+
 test('connected autoDestroyConn', async (t) => {
   const pool = createTestPool(1);
 
@@ -0,0 +1,589 @@
+'use strict';
+const SQL = require('../src');
+const {dropTables, createTestPool} = require('./_utils');
+const test = require('ava');
+
+const pool = createTestPool();
+
+SQL.cursorSecret = 'supple-test-cursor-secret';
+
+class Author extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    handle: {type: SQL.type.text, nullable: false, unique: true},
+  };
+  static primaryKeyFields = ['id'];
+  static relations = {
+    // Thunks, Post and Comment aren't declared yet.
+    posts: SQL.hasMany(() => Post, {foreignKey: 'authorId', orderBy: [['title', SQL.sort.desc]]}),
+    firstPost: SQL.hasOne(() => Post, {foreignKey: 'authorId'}),
+    comments: SQL.hasMany(() => Comment, {foreignKey: 'authorHandle', sourceKey: 'handle'}),
+  };
+  static table = 'supple_test_relation_authors';
+}
+
+class Post extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    authorId: {type: SQL.type.integer},
+    title: {type: SQL.type.text},
+  };
+  static primaryKeyFields = ['id'];
+  static relations = {
+    author: SQL.belongsTo(Author, {foreignKey: 'authorId'}),
+    comments: SQL.hasMany(() => Comment, {foreignKey: 'postId'}),
+    tags: SQL.belongsToMany(() => Tag, {through: () => PostTag, sourceKey: 'postId', targetKey: 'tagId', orderBy: 'name'}),
+    labels: SQL.belongsToMany(() => Tag, {through: 'supple_test_relation_post_labels', sourceKey: 'post_id', targetKey: 'label_id'}),
+  };
+  static table = 'supple_test_relation_posts';
+}
+
+class Tag extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    name: {type: SQL.type.text},
+  };
+  static primaryKeyFields = ['id'];
+  static table = 'supple_test_relation_tags';
+}
+
+class PostTag extends SQL.Record {
+  static fields = {
+    postId: {type: SQL.type.integer, primaryKey: true, name: 'tagged_post_id'},
+    tagId: {type: SQL.type.integer, primaryKey: true},
+  };
+  static primaryKeyFields = ['postId', 'tagId'];
+  static table = 'supple_test_relation_post_tags';
+}
+
+class Comment extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    authorHandle: {type: SQL.type.text},
+    postId: {type: SQL.type.integer},
+  };
+  static primaryKeyFields = ['id'];
+  static relations = {
+    author: SQL.belongsTo(Author, {foreignKey: 'authorHandle', targetKey: 'handle'}),
+  };
+  static table = 'supple_test_relation_comments';
+}
+
+class CompositeAuthor extends SQL.Record {
+  static fields = {
+    a: {type: SQL.type.integer, primaryKey: true},
+    b: {type: SQL.type.integer, primaryKey: true},
+  };
+  static primaryKeyFields = ['a', 'b'];
+  static relations = {
+    posts: SQL.hasMany(Post, {foreignKey: 'authorId'}),
+  };
+  static table = 'supple_test_relation_composite_authors';
+}
+
+class CompositePost extends SQL.Record {
+  static fields = {
+    id: {type: SQL.type.serial, primaryKey: true},
+    authorId: {type: SQL.type.integer},
+  };
+  static primaryKeyFields = ['id'];
+  static relations = {
+    author: SQL.belongsTo(CompositeAuthor, {foreignKey: 'authorId'}),
+  };
+  static table = Post.table;
+}
+
+test.before(async () => {
+  return SQL.connected(async (conn) => {
+    await dropTables(conn, [
+      'supple_test_relation_post_labels',
+      PostTag.table,
+      Tag.table,
+      Comment.table,
+      Post.table,
+      Author.table,
+    ]);
+
+    await conn.query(`
+      CREATE TABLE ${Author.table} (
+        id SERIAL PRIMARY KEY,
+        handle TEXT NOT NULL UNIQUE
+      )
+    `);
+
+    await conn.query(`
+      CREATE TABLE ${Post.table} (
+        id SERIAL PRIMARY KEY,
+        author_id INTEGER REFERENCES ${Author.table} (id),
+        title TEXT
+      )
+    `);
+
+    await conn.query(`
+      CREATE TABLE ${Comment.table} (
+        id SERIAL PRIMARY KEY,
+        author_handle TEXT REFERENCES ${Author.table} (handle),
+        post_id INTEGER REFERENCES ${Post.table} (id)
+      )
+    `);
+
+    await conn.query(`
+      CREATE TABLE ${Tag.table} (
+        id SERIAL PRIMARY KEY,
+        name TEXT
+      )
+    `);
+
+    await conn.query(`
+      CREATE TABLE ${PostTag.table} (
+        tagged_post_id INTEGER REFERENCES ${Post.table} (id),
+        tag_id INTEGER REFERENCES ${Tag.table} (id),
+        PRIMARY KEY (tagged_post_id, tag_id)
+      )
+    `);
+
+    await conn.query(`
+      CREATE TABLE supple_test_relation_post_labels (
+        post_id INTEGER REFERENCES ${Post.table} (id),
+        label_id INTEGER REFERENCES ${Tag.table} (id),
+        PRIMARY KEY (post_id, label_id)
+      )
+    `);
+  }, {pool});
+});
+
+async function createAuthor(handle, postTitles = []) {
+  const author = new Author(pool, {handle});
+  await author.save();
+
+  const posts = await Post.insertMany(pool, postTitles.map((title) => ({authorId: author.id, title})));
+
+  return {author, posts};
+}
+
+test('belongsTo loads the related record and caches it', async (t) => {
+  const {author, posts: [post]} = await createAuthor('belongs-to', ['Belongs To']);
+
+  const related = await post.related('author');
+  t.true(related instanceof Author);
+  t.is(related.id, author.id);
+  t.is(related.pool, pool);
+
+  t.is(await post.related('author'), related);
+  t.is(post.relatedValues.author, related);
+
+  const reloaded = await post.related('author', {reload: true});
+  t.not(reloaded, related);
+  t.is(reloaded.id, author.id);
+});
+
+test('belongsTo with a null foreign key is null', async (t) => {
+  const post = new Post(pool, {title: 'Orphan'});
+  await post.save();
+
+  t.is(await post.related('author'), null);
+});
+
+test('hasMany and hasOne', async (t) => {
+  const {author} = await createAuthor('has-many', ['B', 'A', 'C']);
+
+  const posts = await author.related('posts');
+  t.deepEqual(posts.map((post) => post.title), ['C', 'B', 'A']);
+
+  const firstPost = await author.related('firstPost');
+  t.is(firstPost.title, 'B');
+
+  const {author: lonelyAuthor} = await createAuthor('has-many-none');
+  t.deepEqual(await lonelyAuthor.related('posts'), []);
+  t.is(await lonelyAuthor.related('firstPost'), null);
+});
+
+test('sourceKey and targetKey', async (t) => {
+  const {author} = await createAuthor('keyed');
+  const comment = new Comment(pool, {authorHandle: author.handle});
+  await comment.save();
+
+  t.is((await comment.related('author')).id, author.id);
+  t.deepEqual((await author.related('comments')).map((c) => c.id), [comment.id]);
+});
+
+test('loadFor() loads many records at once', async (t) => {
+  const {author: authorA, posts: postsA} = await createAuthor('load-for-a', ['A1', 'A2']);
+  const {author: authorB, posts: postsB} = await createAuthor('load-for-b', ['B1']);
+
+  const posts = [postsA[0], postsB[0], postsA[1]];
+  const authors = await Post.getRelation('author').loadFor(posts, pool);
+  t.deepEqual(authors.map((author) => author.id), [authorA.id, authorB.id, authorA.id]);
+  t.is(authors[0], authors[2]);
+
+  const postsByAuthor = await Author.getRelation('posts').loadFor([authorA, authorB], pool);
+  t.deepEqual(postsByAuthor.map((authorPosts) => authorPosts.map((post) => post.title)), [['A2', 'A1'], ['B1']]);
+
+  t.deepEqual(await Author.getRelation('posts').loadFor([]), []);
+
+  // The keys are bound as one array, however many there are.
+  const conn = await pool.connect();
+  const queries = [];
+  const query = conn.query;
+  conn.query = function(config) {
+    queries.push(config);
+
+    return query.apply(this, arguments);
+  };
+  try {
+    await Author.getRelation('posts').loadFor([authorA, authorB], conn);
+  } finally {
+    conn.query = query;
+    conn.release();
+  }
+  t.regex(queries[0].text, /= ANY \(\$1\)/);
+  t.deepEqual(queries[0].values, [[authorA.id, authorB.id]]);
+});
+
+test('related() uses the record\'s conn', async (t) => {
+  await t.throwsAsync(SQL.transaction(async (conn) => {
+    const author = new Author(conn, {handle: 'transaction'});
+    await author.save();
+    const post = new Post(conn, {authorId: author.id, title: 'Uncommitted'});
+    await post.save();
+
+    const related = await post.related('author');
+    t.is(related.id, author.id);
+    t.is(related.conn, conn);
+
+    throw new Error('Rollback');
+  }, {pool}), {message: 'Rollback'});
+});
+
+test('related() without a conn or pool falls back to the default pool', async (t) => {
+  await t.throwsAsync(new Post({authorId: 1}).related('author'), {instanceOf: SQL.NoPoolSetError});
+});
+
+test('invalid relations', async (t) => {
+  const post = new Post(pool, {id: 1});
+  await t.throwsAsync(post.related('missing'), {instanceOf: SQL.RelationNotFoundError});
+
+  t.throws(() => SQL.belongsTo(null, {foreignKey: 'authorId'}), {instanceOf: SQL.MissingRequiredArgError});
+  t.throws(() => SQL.hasMany(Post), {instanceOf: SQL.MissingRequiredArgError});
+
+  await t.throwsAsync(new CompositeAuthor(pool, {a: 1, b: 2}).related('posts'), {instanceOf: SQL.IncorrectFieldsError});
+  await t.throwsAsync(new CompositePost(pool, {authorId: 1}).related('author'), {instanceOf: SQL.IncorrectFieldsError});
+});
+
+function countQueries(conn) {
+  const counter = {count: 0};
+  const query = conn.query.bind(conn);
+  conn.query = (...args) => { // eslint-disable-line no-param-reassign
+    counter.count++;
+    return query(...args);
+  };
+
+  return counter;
+}
+
+test('include() loads nested relations with one query per level', async (t) => {
+  const {author: authorA, posts: postsA} = await createAuthor('nested-include-a', ['A1', 'A2']);
+  const {author: authorB} = await createAuthor('nested-include-b', ['B1']);
+  await createAuthor('nested-include-c');
+  await Comment.insertMany(pool, [
+    {authorHandle: authorB.handle, postId: postsA[0].id},
+    {authorHandle: authorA.handle, postId: postsA[0].id},
+  ]);
+
+  await SQL.connected(async (conn) => {
+    const counter = countQueries(conn);
+
+    const authors = await Author.query(conn, {handle: SQL.like('nested-include-%')}).include('posts.comments', 'firstPost').run();
+    t.is(counter.count, 4);
+    t.is(authors.rows.length, 3);
+
+    const [a, b, c] = authors.rows;
+    t.deepEqual((await a.related('posts')).map((post) => post.title), ['A2', 'A1']);
+    t.is((await a.related('firstPost')).title, 'A1');
+    t.deepEqual((await b.related('posts')).map((post) => post.title), ['B1']);
+    t.deepEqual(await c.related('posts'), []);
+    t.is(await c.related('firstPost'), null);
+    t.is(counter.count, 4);
+
+    const [a2, a1] = a.relatedValues.posts;
+    t.is(a1.relatedValues.comments.length, 2);
+    t.deepEqual(a2.relatedValues.comments, []);
+    t.is(a1.conn, conn);
+  }, {pool});
+});
+
+test('include() with configs and relation instances', async (t) => {
+  const {author, posts: [post]} = await createAuthor('include-configs', ['Configs']);
+  await new Comment(pool, {authorHandle: author.handle, postId: post.id}).save();
+
+  const [withConfigs] = await Author.find(pool, {id: author.id}, {
+    include: {
+      writings: {recordType: Post, foreignKey: 'authorId', include: {comments: true}},
+      latestPost: SQL.hasOne(Post, {foreignKey: 'authorId', orderBy: [['id', SQL.sort.desc]]}),
+      comments: true,
+    },
+  });
+  t.deepEqual(withConfigs.relatedValues.writings.map((writing) => writing.id), [post.id]);
+  t.is(withConfigs.relatedValues.writings[0].relatedValues.comments.length, 1);
+  t.is(withConfigs.relatedValues.latestPost.id, post.id);
+  t.is(withConfigs.relatedValues.comments.length, 1);
+
+  const [withBelongsTo] = await Post.query(pool, {id: post.id}).include({writer: {recordType: Author, foreignKey: 'authorId'}}).run();
+  t.is(withBelongsTo.relatedValues.writer.id, author.id);
+
+  const [nested] = await Author.find(pool, {id: author.id}, {include: {posts: {include: ['comments', 'author']}}});
+  t.is(nested.relatedValues.posts[0].relatedValues.author.id, author.id);
+});
+
+test('data() and toJSON() include loaded relations', async (t) => {
+  const {author, posts: [post]} = await createAuthor('include-data', ['Data']);
+
+  const query = Author.query(pool, {id: author.id}).include('posts', 'firstPost.author');
+  await query.run();
+
+  const expectedPost = {id: post.id, authorId: author.id, title: 'Data'};
+  const expected = {
+    id: author.id,
+    handle: author.handle,
+    posts: [expectedPost],
+    firstPost: {...expectedPost, author: {id: author.id, handle: author.handle}},
+  };
+  t.deepEqual(query.data(), [expected]);
+  t.deepEqual(JSON.parse(JSON.stringify(query.rows[0])), expected);
+  t.deepEqual(query.data({includeRelated: false}), [{id: author.id, handle: author.handle}]);
+  t.deepEqual(query.rows[0].data({onlySet: true}), {id: author.id, handle: author.handle});
+
+  const [orphan] = await Post.find(pool, {title: 'Orphan Data'}, {include: 'author'});
+  t.is(orphan, undefined);
+  const orphanPost = new Post(pool, {title: 'Orphan Data'});
+  await orphanPost.save();
+  const [loadedOrphan] = await Post.find(pool, {id: orphanPost.id}, {include: 'author'});
+  t.is(loadedOrphan.data().author, null);
+});
+
+test('include() validation', async (t) => {
+  t.throws(() => Author.query(pool).include('missing'), {instanceOf: SQL.RelationNotFoundError});
+  t.throws(() => Author.query(pool).include('posts.missing'), {instanceOf: SQL.RelationNotFoundError});
+  t.throws(() => Author.query(pool).include(1), {instanceOf: SQL.InvalidOptionValueError});
+
+  await t.throwsAsync(Author.query(pool, {}, {stream: true}).include('posts').run(), {instanceOf: SQL.UnavailableInStreamModeError});
+  await t.throwsAsync(Author.query(pool, {}, {output: SQL.outputType.object}).include('posts').run(), {instanceOf: SQL.InvalidOptionCombinationError});
+});
+
+async function createTags(names) {
+  return Tag.insertMany(pool, names.map((name) => ({name})));
+}
+
+test('belongsToMany through a Record', async (t) => {
+  const {posts: [post, otherPost]} = await createAuthor('many-to-many', ['Tagged', 'Other Tagged']);
+  const [b, a, c] = await createTags(['b', 'a', 'c']);
+
+  t.deepEqual(await post.related('tags'), []);
+
+  t.is(await post.attach('tags', [b, a.id, a]), 2);
+  t.is(await post.attach('tags', [a, c]), 1);
+  t.is(await post.attach('tags', []), 0);
+  t.is(await otherPost.attach('tags', [c]), 1);
+  t.deepEqual((await post.related('tags')).map((tag) => tag.name), ['a', 'b', 'c']);
+
+  t.is(await post.detach('tags', [b]), 1);
+  t.deepEqual((await post.related('tags')).map((tag) => tag.name), ['a', 'c']);
+
+  t.deepEqual(await post.sync('tags', [b.id, c]), {attached: 1, detached: 1});
+  t.deepEqual((await post.related('tags')).map((tag) => tag.name), ['b', 'c']);
+
+  const tagsByPost = await Post.getRelation('tags').loadFor([post, otherPost, new Post()], pool);
+  t.deepEqual(tagsByPost.map((tags) => tags.map((tag) => tag.name)), [['b', 'c'], ['c'], []]);
+
+  // The related keys are bound as one array, however many there are.
+  const conn = await pool.connect();
+  const queries = [];
+  const query = conn.query;
+  conn.query = function(config) {
+    queries.push(config);
+
+    return query.apply(this, arguments);
+  };
+  try {
+    await Post.getRelation('tags').loadFor([post, otherPost], conn);
+  } finally {
+    conn.query = query;
+    conn.release();
+  }
+  t.regex(queries[1].text, /"id" = ANY \(\$1\)/);
+  t.deepEqual(queries[1].values.map((ids) => [...ids].sort((x, y) => x - y)), [[b.id, c.id].sort((x, y) => x - y)]);
+
+  t.deepEqual(await post.sync('tags', []), {attached: 0, detached: 2});
+  t.is(await otherPost.detach('tags'), 1);
+  t.deepEqual(await PostTag.find(pool, {postId: [post.id, otherPost.id]}), []);
+});
+
+test('belongsToMany through a table name', async (t) => {
+  const {posts: [post]} = await createAuthor('many-to-many-table', ['Labeled']);
+  const [x, y] = await createTags(['x', 'y']);
+
+  t.is(await post.attach('labels', [x, y]), 2);
+
+  const [included] = await Post.find(pool, {id: post.id}, {include: 'labels'});
+  t.deepEqual(included.data().labels.map((label) => label.name), ['x', 'y']);
+
+  t.deepEqual(await post.sync('labels', [y]), {attached: 0, detached: 1});
+  t.deepEqual((await post.related('labels')).map((label) => label.name), ['y']);
+});
+
+test('belongsToMany sync uses the open transaction', async (t) => {
+  const {posts: [post]} = await createAuthor('many-to-many-transaction', ['Transaction']);
+  const [tag] = await createTags(['transaction']);
+
+  await t.throwsAsync(SQL.transaction(async (conn) => {
+    const txPost = new Post(conn, {id: post.id});
+    t.deepEqual(await txPost.sync('tags', [tag]), {attached: 1, detached: 0});
+    t.is((await txPost.related('tags')).length, 1);
+
+    throw new Error('Rollback');
+  }, {pool}), {message: 'Rollback'});
+
+  t.deepEqual(await post.related('tags'), []);
+});
+
+test('belongsToMany validation', async (t) => {
+  t.throws(() => SQL.belongsToMany(Tag, {through: 'supple_test_relation_post_labels'}), {instanceOf: SQL.MissingRequiredArgError});
+  t.throws(() => SQL.belongsTo(Author), {instanceOf: SQL.MissingRequiredArgError});
+  t.deepEqual(await Post.getRelation('tags').loadFor([], pool), []);
+  t.deepEqual(await Post.getRelation('tags').loadFor([new Post()], pool), [[]]);
+
+  const post = new Post(pool);
+  await t.throwsAsync(post.attach('tags', [1]), {instanceOf: SQL.PrimaryKeyValueMissingError});
+  await t.throwsAsync(post.attach('author', [1]), {instanceOf: SQL.InvalidOptionValueError});
+  await t.throwsAsync(post.detach('author'), {instanceOf: SQL.InvalidOptionValueError});
+  await t.throwsAsync(post.sync('author', []), {instanceOf: SQL.InvalidOptionValueError});
+
+  const {posts: [savedPost]} = await createAuthor('many-to-many-invalid', ['Invalid']);
+  const err = await t.throwsAsync(savedPost.attach('tags', [-1]), {instanceOf: SQL.ForeignKeyViolationError});
+  t.is(err.field, 'tagId');
+});
+
+test('joinRelation() on belongsTo and hasMany relations', async (t) => {
+  const {author: authorA} = await createAuthor('join-a', ['Join A2', 'Join A1']);
+  const {author: authorB, posts: [postB]} = await createAuthor('join-b', ['Join B1']);
+  await Comment.insertMany(pool, [
+    {authorHandle: authorA.handle, postId: postB.id},
+    {authorHandle: authorB.handle, postId: postB.id},
+  ]);
+
+  const posts = await Post.query(pool, {'author.handle': SQL.like('join-_')})
+    .joinRelation('author')
+    .orderBy(['author.handle', SQL.sort.desc], 'title');
+  await posts.run();
+  t.deepEqual(posts.map((post) => post.title), ['Join B1', 'Join A1', 'Join A2']);
+  t.true(posts.rows.every((post) => post instanceof Post));
+  t.true(posts.includes(posts.rows[0])); // Array methods remain, including join().
+
+  const titles = Post.query(pool, {'author.handle': 'join-b'}).joinRelation('author').returns('title');
+  await titles.run();
+  t.is(titles.join(','), 'Join B1');
+
+  // Every match is a row.
+  const commented = await Post.query(pool, {'author.handle': SQL.like('join-_')})
+    .joinRelation('author')
+    .joinRelation('comments')
+    .returns('title');
+  await commented.run();
+  t.deepEqual(commented.rows, ['Join B1', 'Join B1']);
+
+  const uncommented = await Post.query(pool, {'author.handle': SQL.like('join-_'), 'comments.id': null})
+    .joinRelation('author')
+    .joinRelation('comments', {type: SQL.joinType.left})
+    .returns(['id', 'title']);
+  t.is(await uncommented.count(), 2);
+  await uncommented.run();
+  t.deepEqual(uncommented.rows.map((post) => post.title), ['Join A2', 'Join A1']);
+});
+
+test('joinRelation() on nested relations and connected wheres', async (t) => {
+  const {author: authorA, posts: [postA]} = await createAuthor('nested-join-a', ['Nested Join A']);
+  const {author: authorB} = await createAuthor('nested-join-b', ['Nested Join B']);
+  await Comment.insertMany(pool, [{authorHandle: authorB.handle, postId: postA.id}]);
+
+  const posts = await Post.query(pool, SQL.or(
+    {'author.comments.postId': postA.id},
+    {'author.handle': authorA.handle, title: SQL.notEqual('Nested Join A')}
+  ))
+    .joinRelation('author')
+    .joinRelation('author.comments');
+  await posts.run();
+  t.deepEqual(posts.map((post) => post.title), ['Nested Join B']);
+
+  const includedPosts = await Post.query(pool, {'author.handle': authorB.handle}).joinRelation('author').include('author');
+  await includedPosts.run();
+  t.is(includedPosts.rows[0].data().author.handle, authorB.handle);
+});
+
+test('joinRelation() on belongsToMany relations', async (t) => {
+  const {posts: [tagged, labeled, neither]} = await createAuthor('join-many', ['Join Tagged', 'Join Labeled', 'Join Neither']);
+  const [tag] = await createTags(['join-tag']);
+  await tagged.attach('tags', [tag]);
+  await labeled.attach('labels', [tag]);
+
+  const taggedPosts = await Post.query(pool, {'tags.name': 'join-tag'}).joinRelation('tags');
+  await taggedPosts.run();
+  t.deepEqual(taggedPosts.map((post) => post.id), [tagged.id]);
+
+  const labeledPosts = await Post.query(pool, {'labels.name': 'join-tag'}).joinRelation('labels');
+  await labeledPosts.run();
+  t.deepEqual(labeledPosts.map((post) => post.id), [labeled.id]);
+
+  const untaggedPosts = await Post.query(pool, {id: [tagged.id, labeled.id, neither.id], 'tags.id': null})
+    .joinRelation('tags', {type: SQL.joinType.left});
+  await untaggedPosts.run();
+  t.deepEqual(untaggedPosts.map((post) => post.id), [labeled.id, neither.id]);
+});
+
+test('joinRelation() by recordType and on', async (t) => {
+  const {author, posts: [post]} = await createAuthor('join-on', ['Join On', 'Join On Uncommented']);
+  await Comment.insertMany(pool, [{authorHandle: author.handle, postId: post.id}]);
+
+  const posts = await Post.query(pool, {'commenter.handle': author.handle})
+    .joinRelation('reply', {recordType: Comment, on: {postId: 'id'}})
+    .joinRelation('commenter', {recordType: Author, on: {handle: 'reply.authorHandle'}});
+  await posts.run();
+  t.deepEqual(posts.map((post) => post.title), ['Join On']);
+});
+
+test('joinRelation() validation', async (t) => {
+  const query = () => Post.query(pool, {});
+
+  t.throws(() => query().joinRelation('author', {type: 'outer'}), {instanceOf: SQL.InvalidOptionValueError});
+  t.throws(() => query().joinRelation('author').joinRelation('author'), {instanceOf: SQL.InvalidOptionValueError});
+  t.throws(() => query().joinRelation(Post.table, {recordType: Post, on: {id: 'id'}}), {instanceOf: SQL.InvalidOptionValueError});
+  t.throws(() => query().joinRelation('author.comments'), {instanceOf: SQL.InvalidOptionValueError});
+  t.throws(() => query().joinRelation('missing'), {instanceOf: SQL.RelationNotFoundError});
+  t.throws(() => query().joinRelation('other', {recordType: Author}), {instanceOf: SQL.MissingRequiredArgError});
+  t.throws(() => query().joinRelation('other', {recordType: Author, on: {missing: 'id'}}), {instanceOf: SQL.FieldNotFoundError});
+  t.throws(() => query().joinRelation('other', {recordType: Author, on: {id: 'missing.id'}}), {instanceOf: SQL.FieldNotFoundError});
+
+  await t.throwsAsync(query().where({'author.missing': 1}).joinRelation('author').run(), {instanceOf: SQL.FieldNotFoundError});
+  await t.throwsAsync(query().where({'author.handle': 'handle'}).run(), {instanceOf: SQL.FieldNotFoundError});
+  await t.throwsAsync(query().joinRelation('author').orderBy('comments.id').run(), {instanceOf: SQL.FieldNotFoundError});
+
+  await t.throwsAsync(query().joinRelation('author').update({title: 'Joined'}), {instanceOf: SQL.InvalidOptionCombinationError});
+  await t.throwsAsync(query().joinRelation('author').delete(), {instanceOf: SQL.InvalidOptionCombinationError});
+});
+
+test('paginate() with joins and includes', async (t) => {
+  await createAuthor('paginate-join-b', ['B1']);
+  await createAuthor('paginate-join-a', ['A2', 'A1']);
+
+  const q = Post.query(pool, {'author.handle': SQL.like('paginate-join-%')})
+    .joinRelation('author')
+    .orderBy('author.handle', 'title')
+    .include('author');
+
+  const first = await q.paginate({first: 2});
+  t.deepEqual(first.rows.map((post) => post.title), ['A1', 'A2']);
+  t.is(first.rows[0].data().author.handle, 'paginate-join-a');
+
+  const second = await q.paginate({after: first.pageInfo.endCursor, first: 2});
+  t.deepEqual(second.rows.map((post) => post.title), ['B1']);
+  t.false(second.pageInfo.hasNextPage);
+});